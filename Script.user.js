@@ -5,6 +5,8 @@
 // @description  Collect missed call records from Nextiva with Google Sheets integration and performance optimizations
 // @match        https://kwickpos.nextos.com/apps/nextiva-connect*
 // @grant        GM_xmlhttpRequest
+// @grant        GM_notification
+// @grant        window.focus
 // @connect      script.google.com
 // @connect      script.googleusercontent.com
 // @connect      *.googleusercontent.com
@@ -17,6 +19,64 @@ class CallRecord {
         this.dataIndex = dataIndex;
         this.calledBack = calledBack;
         this.isAnswered = isAnswered;
+        this.callbackTime = null; // Date of the first outgoing call back to this number
+        this.callbackDelayMinutes = null;
+        this.hasVoicemail = false;
+        this.answeredTime = null; // Date of the answered call that recovered this missed call
+        this.answeredBy = null;
+        this.contactName = null; // Name Nextiva showed next to the number, if any
+        this.inBusinessHours = true;
+        this.source = null; // 'Real-time Monitor', 'Backfill' or 'Bulk Collection'
+    }
+
+    markAnswered(answeredTime, agent = null) {
+        this.isAnswered = true;
+        this.answeredTime = answeredTime;
+        this.answeredBy = agent;
+    }
+
+    markCalledBack(callbackTime) {
+        this.calledBack = true;
+        this.callbackTime = callbackTime;
+        this.callbackDelayMinutes = Math.max(0, Math.round((callbackTime - this.timestamp) / 60000));
+    }
+
+    toStorage() {
+        return {
+            timestamp: this.timestamp.getTime(),
+            contact: this.contact,
+            dataIndex: this.dataIndex,
+            calledBack: this.calledBack,
+            isAnswered: this.isAnswered,
+            callbackTime: this.callbackTime ? this.callbackTime.getTime() : null,
+            hasVoicemail: this.hasVoicemail,
+            answeredTime: this.answeredTime ? this.answeredTime.getTime() : null,
+            answeredBy: this.answeredBy,
+            contactName: this.contactName,
+            inBusinessHours: this.inBusinessHours,
+            source: this.source
+        };
+    }
+
+    static fromStorage(data) {
+        const record = new CallRecord(
+            new Date(data.timestamp),
+            data.contact,
+            data.dataIndex,
+            data.calledBack || false,
+            data.isAnswered || false
+        );
+        if (data.callbackTime) {
+            record.markCalledBack(new Date(data.callbackTime));
+        }
+        record.hasVoicemail = data.hasVoicemail || false;
+        record.contactName = data.contactName || null;
+        record.inBusinessHours = data.inBusinessHours !== false;
+        record.source = data.source || null;
+        if (data.answeredTime) {
+            record.markAnswered(new Date(data.answeredTime), data.answeredBy || null);
+        }
+        return record;
     }
 }
 
@@ -28,7 +88,10 @@ class PerformanceMonitor {
             processingTimes: [],
             domQueries: 0,
             networkRequests: 0,
-            errors: 0
+            errors: 0,
+            checksByTrigger: {}, // key: what started a real-time check (mutation, poll, ...), value: count
+            coalescedChecks: 0,
+            observerAttachments: 0
         };
         this.lastCleanup = Date.now();
         this.monitorInterval = null;
@@ -97,6 +160,11 @@ class PerformanceMonitor {
         }
     }
 
+    recordCheck(trigger, time) {
+        this.metrics.checksByTrigger[trigger] = (this.metrics.checksByTrigger[trigger] || 0) + 1;
+        this.recordProcessingTime(time);
+    }
+
     getReport() {
         const latest = this.metrics.memoryUsage[this.metrics.memoryUsage.length - 1];
         const avgProcessingTime = this.metrics.processingTimes.length > 0 ?
@@ -106,6 +174,10 @@ class PerformanceMonitor {
             uptime: latest ? latest.uptime : 0,
             memoryUsage: latest ? latest.memory : 'N/A',
             avgProcessingTime: avgProcessingTime,
+            maxProcessingTime: Math.round(Math.max(0, ...this.metrics.processingTimes)),
+            checksByTrigger: { ...this.metrics.checksByTrigger },
+            coalescedChecks: this.metrics.coalescedChecks,
+            observerAttachments: this.metrics.observerAttachments,
             totalErrors: this.metrics.errors,
             domQueries: this.metrics.domQueries,
             networkRequests: this.metrics.networkRequests
@@ -113,482 +185,4022 @@ class PerformanceMonitor {
     }
 }
 
-class NextivaCollector {
+class CollectorSettings {
     constructor() {
-        this.debug = true;
-        this.isCollecting = false;
-        this.isRealTimeMode = false;
-        this.allRecords = [];
-        this.processedIndexes = new Set();
-        this.maxProcessedIndex = -1;
-        this.lastKnownRowCount = 0;
-        this.realTimeObserver = null;
-        this.realTimeInterval = null;
-        this.lastTopRecord = null;
-
-        // Real-time monitoring counters - only count new calls since monitoring started
-        this.realTimeMissedCount = 0;
-        this.monitorStartTime = null;
-
-        // Google Sheets configuration
-        this.googleSheetUrl = 'https://docs.google.com/spreadsheets/d/1MzDvA9RT22kLtU-2HT-OqaSy8LwN-ACF_FZfPGgE9zE/edit?gid=956231178#gid=956231178';
-        this.googleScriptUrl = 'https://script.google.com/macros/s/AKfycbx7dTlg6B9BVr1gplQ0cRjdXlG4lKAiWf-dKvviQ0ZyoO_M7xAXYvOgWEtS__MY9FC4/exec';
-
-        // Enhanced call tracking for answered calls
-        this.recentCalls = new Map(); // key: phone number, value: array of call objects
-        this.sentRecords = new Map(); // Track sent records by phone+timestamp for updates
-        this.processedAnswers = new Set(); // Track processed answer events to prevent duplicates
-        this.pendingRequests = new Set(); // Track pending network requests
-
-        // Performance monitoring
-        this.performanceMonitor = new PerformanceMonitor();
-        this.cleanupInterval = null;
-
-        this.loadFromLocalStorage();
-        this.initPerformanceOptimizations();
+        this.storageKey = 'nextiva_collector_settings';
+        this.values = { ...CollectorSettings.defaults };
     }
 
-    initPerformanceOptimizations() {
-        // Start performance monitoring
-        this.performanceMonitor.start();
+    static get defaults() {
+        return {
+            // Google Sheets endpoints
+            googleSheetUrl: 'https://docs.google.com/spreadsheets/d/1MzDvA9RT22kLtU-2HT-OqaSy8LwN-ACF_FZfPGgE9zE/edit?gid=956231178#gid=956231178',
+            googleScriptUrl: 'https://script.google.com/macros/s/AKfycbx7dTlg6B9BVr1gplQ0cRjdXlG4lKAiWf-dKvviQ0ZyoO_M7xAXYvOgWEtS__MY9FC4/exec',
 
-        // Regular cleanup every 5 minutes
-        this.cleanupInterval = setInterval(() => {
-            this.performanceCleanup();
-        }, 5 * 60 * 1000);
+            // How far either side of a missed call an answered call still counts as a recovery
+            answerWindowMinutes: 60,
 
-        // Bind performance cleanup to window for external access
-        window.nextiva_performance_cleanup = () => this.performanceCleanup();
-    }
+            // Real-time changes come from a MutationObserver; polling only backs it up
+            fallbackPollSeconds: 30,
 
-    performanceCleanup() {
-        const before = this.getMemoryUsage();
-        this.log('Performing performance cleanup...');
+            // Retention limits used by performanceCleanup
+            recentCallsHours: 2,
+            processedAnswersHours: 6,
+            maxProcessedIndexes: 500,
+            maxRealTimeRecords: 200,
 
-        try {
-            // Clear old recent calls (older than 2 hours)
-            const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
-            for (const [phoneNumber, calls] of this.recentCalls.entries()) {
-                const recentCalls = calls.filter(call => call.time > twoHoursAgo);
-                if (recentCalls.length === 0) {
-                    this.recentCalls.delete(phoneNumber);
-                } else {
-                    this.recentCalls.set(phoneNumber, recentCalls.slice(-5)); // Keep max 5 per number
-                }
-            }
+            // Records per request when uploading a bulk collection to the sheet
+            bulkBatchSize: 50,
 
-            // Keep only recent processed indexes (last 500)
-            if (this.processedIndexes.size > 500) {
-                const sortedIndexes = Array.from(this.processedIndexes).map(Number).sort((a, b) => b - a);
-                this.processedIndexes = new Set(sortedIndexes.slice(0, 500).map(String));
-            }
+            // How far back to look for calls missed while the monitor was off (0 disables backfill)
+            maxBackfillHours: 24,
 
-            // Keep only recent records (last 200 for real-time mode)
-            if (this.isRealTimeMode && this.allRecords.length > 200) {
-                this.allRecords = this.allRecords.slice(-200);
-            }
+            // How long after a missed call an outgoing call still counts as calling the customer back
+            callbackWindowHours: 24,
 
-            // Clear old processed answers (older than 6 hours)
-            const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
-            if (this.processedAnswers) {
-                const validAnswers = new Set();
-                for (const answerKey of this.processedAnswers) {
-                    const parts = answerKey.split('_');
-                    if (parts.length >= 2) {
-                        const timestamp = parseInt(parts[parts.length - 1]);
-                        if (!isNaN(timestamp) && new Date(timestamp) > sixHoursAgo) {
-                            validAnswers.add(answerKey);
-                        }
-                    }
-                }
-                this.processedAnswers = validAnswers;
-            }
+            // Desktop alerts for new missed calls (opt-in)
+            notificationsEnabled: false,
+            notificationSound: false,
+            notificationCooldownMinutes: 10,
 
-            this.saveToLocalStorage();
-            const after = this.getMemoryUsage();
-            this.log(`Performance cleanup completed. Memory: ${before}MB -> ${after}MB`);
+            // Country assumed for numbers shown without a "+" calling code
+            defaultCountry: 'US',
 
-        } catch (error) {
-            this.performanceMonitor.logError(error, 'performanceCleanup');
-        }
-    }
+            // Timezone Nextiva times are read in and sheet times written in (blank = this computer's)
+            businessTimeZone: '',
 
-    getMemoryUsage() {
-        return performance.memory ? Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) : 0;
+            // Weekly opening hours and holiday exceptions used to tag after-hours calls
+            businessHours: 'Mon-Sun 00:00-24:00',
+            holidays: '',
+            excludeAfterHoursFromCounter: false,
+
+            // Numbers never logged (exact, prefix* or wildcard ?/* patterns) and spam heuristics
+            ignoreList: '',
+            filterWithheldCallers: false,
+            // Off by default: a customer redialling quickly is a real caller more often than spam
+            spamCallsPerMinute: 0
+        };
     }
 
-    log(message, data = null) {
-        if (this.debug) {
-            console.log(`[Nextiva Collector] ${message}`, data || '');
-        }
+    // Field metadata drives both validation and the settings dialog
+    static get fields() {
+        return [
+            { key: 'googleSheetUrl', label: 'Google Sheet URL', type: 'url', pattern: /^https:\/\/docs\.google\.com\/spreadsheets\// },
+            { key: 'googleScriptUrl', label: 'Apps Script URL', type: 'url', pattern: /^https:\/\/script\.google(usercontent)?\.com\// },
+            { key: 'answerWindowMinutes', label: 'Answer window (minutes)', type: 'number', min: 1, max: 1440 },
+            { key: 'fallbackPollSeconds', label: 'Fallback full check (seconds)', type: 'number', min: 5, max: 600 },
+            { key: 'recentCallsHours', label: 'Keep recent calls (hours)', type: 'number', min: 1, max: 72 },
+            { key: 'processedAnswersHours', label: 'Keep processed answers (hours)', type: 'number', min: 1, max: 168 },
+            { key: 'maxProcessedIndexes', label: 'Max processed indexes', type: 'number', min: 50, max: 20000 },
+            { key: 'maxRealTimeRecords', label: 'Max real-time records', type: 'number', min: 20, max: 5000 },
+            { key: 'bulkBatchSize', label: 'Bulk upload batch size', type: 'number', min: 1, max: 500 },
+            { key: 'maxBackfillHours', label: 'Backfill gap since last session (hours, 0 = off)', type: 'number', min: 0, max: 168 },
+            { key: 'callbackWindowHours', label: 'Callback window (hours)', type: 'number', min: 1, max: 168 },
+            { key: 'notificationsEnabled', label: 'Desktop notifications for new missed calls', type: 'boolean' },
+            { key: 'notificationSound', label: 'Play a sound with notifications', type: 'boolean' },
+            { key: 'notificationCooldownMinutes', label: 'Notification cooldown per number (minutes)', type: 'number', min: 0, max: 1440 },
+            { key: 'defaultCountry', label: 'Default country for phone numbers (e.g. US, GB, AU)', type: 'text', parse: PhoneNumberNormalizer.parseCountry },
+            { key: 'businessTimeZone', label: 'Business timezone (e.g. America/New_York; blank = this computer)', type: 'text', parse: BusinessClock.parseTimeZone },
+            { key: 'businessHours', label: 'Business hours (e.g. Mon-Fri 09:00-17:00; Sat 10:00-14:00)', type: 'text', parse: BusinessHoursCalendar.parseSchedule },
+            { key: 'holidays', label: 'Holidays (YYYY-MM-DD, optional hours; separated by ;)', type: 'text', parse: BusinessHoursCalendar.parseHolidays },
+            { key: 'excludeAfterHoursFromCounter', label: 'Leave after-hours calls out of the live counter', type: 'boolean' },
+            { key: 'ignoreList', label: 'Ignore numbers (e.g. +15551234567; 800*; +1555???0000)', type: 'text', parse: CallFilter.parseIgnoreList },
+            { key: 'filterWithheldCallers', label: 'Filter calls with a withheld or missing caller ID', type: 'boolean' },
+            { key: 'spamCallsPerMinute', label: 'Filter a number after this many calls in a minute (0 = off)', type: 'number', min: 0, max: 60 }
+        ];
     }
 
-    saveToLocalStorage() {
-        try {
-            const data = {
-                records: this.allRecords.slice(-100).map(record => ({ // Keep only last 100
-                    timestamp: record.timestamp.getTime(),
-                    contact: record.contact,
-                    dataIndex: record.dataIndex,
-                    calledBack: record.calledBack,
-                    isAnswered: record.isAnswered
-                })),
-                processedIndexes: Array.from(this.processedIndexes).slice(-300), // Keep only last 300
-                realTimeMissedCount: this.realTimeMissedCount,
-                monitorStartTime: this.monitorStartTime ? this.monitorStartTime.getTime() : null,
-                sentRecords: Array.from(this.sentRecords.entries()).slice(-50), // Keep only last 50
-                processedAnswers: Array.from(this.processedAnswers || []).slice(-50) // Keep only last 50
-            };
-            localStorage.setItem('nextiva_missed_calls', JSON.stringify(data));
-        } catch (e) {
-            this.log('Error saving to localStorage:', e);
-            // If save fails, clear some data and try again
-            this.performanceCleanup();
-        }
+    get(key) {
+        return this.values[key];
     }
 
-    loadFromLocalStorage() {
+    load() {
         try {
-            const data = localStorage.getItem('nextiva_missed_calls');
+            const data = localStorage.getItem(this.storageKey);
             if (data) {
                 const parsed = JSON.parse(data);
-                this.allRecords = (parsed.records || []).map(record =>
-                    new CallRecord(
-                        new Date(record.timestamp),
-                        record.contact,
-                        record.dataIndex,
-                        record.calledBack || false,
-                        record.isAnswered || false
-                    )
-                );
-                this.processedIndexes = new Set(parsed.processedIndexes || []);
-                this.realTimeMissedCount = parsed.realTimeMissedCount || 0;
-                this.monitorStartTime = parsed.monitorStartTime ? new Date(parsed.monitorStartTime) : null;
-                this.sentRecords = new Map(parsed.sentRecords || []);
-                this.processedAnswers = new Set(parsed.processedAnswers || []);
-                this.log(`Loaded ${this.allRecords.length} records from localStorage`);
+                // Only accept stored values that still validate, fall back to defaults otherwise
+                const { values } = this.validate({ ...CollectorSettings.defaults, ...parsed });
+                this.values = { ...CollectorSettings.defaults, ...values };
             }
         } catch (e) {
-            this.log('Error loading from localStorage:', e);
+            console.error('[NextivaCollector] Error loading settings:', e);
         }
+        return this.values;
     }
 
-    clearLocalStorage() {
+    save(input) {
+        const { values, errors } = this.validate(input);
+        if (errors.length > 0) {
+            return { saved: false, errors };
+        }
+
+        this.values = { ...this.values, ...values };
         try {
-            localStorage.removeItem('nextiva_missed_calls');
-            this.allRecords = [];
-            this.processedIndexes.clear();
-            this.realTimeMissedCount = 0;
-            this.monitorStartTime = null;
-            this.sentRecords.clear();
-            // Don't clear processedAnswers here - only clear when starting real-time mode
-            this.pendingRequests.clear();
-            this.log('Cleared localStorage and pending requests');
+            localStorage.setItem(this.storageKey, JSON.stringify(this.values));
         } catch (e) {
-            this.log('Error clearing localStorage:', e);
+            return { saved: false, errors: [`Could not persist settings: ${e.message}`] };
         }
+        return { saved: true, errors: [] };
     }
 
-    parseDateTime(text, lowerRowDates = []) {
-        const now = new Date();
-        let date = new Date();
+    reset() {
+        this.values = { ...CollectorSettings.defaults };
+        localStorage.removeItem(this.storageKey);
+    }
 
-        const timeOnlyMatch = text.match(/^(\d{1,2}):(\d{2})\s*([AP]M)?/i);
-        if (timeOnlyMatch) {
-            let hours = parseInt(timeOnlyMatch[1]);
-            const minutes = parseInt(timeOnlyMatch[2]);
-            const period = timeOnlyMatch[3]?.toUpperCase();
-            if (period === 'PM' && hours !== 12) hours += 12;
-            if (period === 'AM' && hours === 12) hours = 0;
-            date.setHours(hours, minutes, 0, 0);
-            return date;
-        }
+    validate(input) {
+        const values = {};
+        const errors = [];
 
-        const yesterdayMatch = text.match(/Yesterday\s*(\d{1,2}):(\d{2})(?:\s*([AP]M))?/i);
-        if (yesterdayMatch) {
-            let hours = parseInt(yesterdayMatch[1]);
-            const minutes = parseInt(yesterdayMatch[2]);
-            const period = yesterdayMatch[3]?.toUpperCase();
-            if (period === 'PM' && hours !== 12) hours += 12;
-            if (period === 'AM' && hours === 12) hours = 0;
-            date.setDate(date.getDate() - 1);
-            date.setHours(hours, minutes, 0, 0);
+        for (const field of CollectorSettings.fields) {
+            if (!(field.key in input)) continue;
+            const raw = input[field.key];
 
-            if (lowerRowDates && lowerRowDates.some(d => d && d.getDate() === now.getDate() && d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear())) {
-                date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, 0, 0);
+            if (field.type === 'url') {
+                const url = String(raw || '').trim();
+                if (!field.pattern.test(url)) {
+                    errors.push(`${field.label} is not a valid address`);
+                    continue;
+                }
+                values[field.key] = url;
+            } else if (field.type === 'boolean') {
+                values[field.key] = raw === true || raw === 'true';
+            } else if (field.type === 'text') {
+                const text = String(raw ?? '').trim();
+                try {
+                    if (field.parse) field.parse(text);
+                } catch (e) {
+                    errors.push(`${field.label}: ${e.message}`);
+                    continue;
+                }
+                values[field.key] = text;
+            } else {
+                const number = Number(raw);
+                if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                    errors.push(`${field.label} must be a whole number between ${field.min} and ${field.max}`);
+                    continue;
+                }
+                values[field.key] = number;
             }
-            return date;
         }
 
-        const parsed = Date.parse(text);
-        if (!isNaN(parsed)) {
-            return new Date(parsed);
+        // Recent calls must outlive the answer window or answered calls can never be matched
+        const answerWindow = values.answerWindowMinutes ?? this.values.answerWindowMinutes;
+        const recentHours = values.recentCallsHours ?? this.values.recentCallsHours;
+        if (recentHours * 60 < answerWindow) {
+            errors.push('Keep recent calls must be at least as long as the answer window');
         }
 
-        return null;
+        return { values, errors };
+    }
+}
+
+class BusinessHoursCalendar {
+    static get DAY_NAMES() {
+        return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
     }
 
-    parseAnyDateTime(text) {
-        if (!text) return null;
+    // "Mon-Fri 09:00-17:00; Sat 10:00-14:00 18:00-22:00" -> { 0: [], 1: [[540, 1020]], ... } in minutes
+    static parseSchedule(text) {
+        const schedule = {};
+        for (let day = 0; day < 7; day++) {
+            schedule[day] = [];
+        }
 
-        // Handle day of week format (Monday 3:45 PM, Tuesday 10:30 AM, etc.)
-        const dayOfWeekMatch = text.match(/^(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)\s+(\d{1,2}):(\d{2})\s*([AP]M)?/i);
-        if (dayOfWeekMatch) {
-            const [, dayName, hour, minute, period] = dayOfWeekMatch;
-            const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const targetDayIndex = dayNames.indexOf(dayName.toLowerCase());
+        const entries = String(text || '').split(';').map(entry => entry.trim()).filter(Boolean);
+        for (const entry of entries) {
+            const match = entry.match(/^([A-Za-z,\s-]+?)\s+((?:\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2}\s*)+)$/);
+            if (!match) {
+                throw new Error(`Cannot read business hours entry "${entry}"`);
+            }
 
-            if (targetDayIndex !== -1) {
-                const now = new Date();
-                const currentDayIndex = now.getDay();
+            const days = BusinessHoursCalendar.parseDays(match[1]);
+            const ranges = BusinessHoursCalendar.parseRanges(match[2]);
 
-                // Calculate how many days ago this was
-                let daysAgo = currentDayIndex - targetDayIndex;
-                if (daysAgo <= 0) {
-                    daysAgo += 7; // It was last week
+            for (const day of days) {
+                for (const [start, end] of ranges) {
+                    if (end > start) {
+                        schedule[day].push([start, end]);
+                    } else {
+                        // Overnight range, e.g. 18:00-02:00 - the tail belongs to the next day
+                        schedule[day].push([start, 24 * 60]);
+                        schedule[(day + 1) % 7].push([0, end]);
+                    }
                 }
+            }
+        }
 
-                let hour24 = parseInt(hour);
-                if (period) {
-                    const periodUpper = period.toUpperCase();
-                    if (periodUpper === 'PM' && hour24 !== 12) hour24 += 12;
-                    if (periodUpper === 'AM' && hour24 === 12) hour24 = 0;
-                }
+        return schedule;
+    }
 
-                const targetDate = new Date(now);
-                targetDate.setDate(targetDate.getDate() - daysAgo);
-                targetDate.setHours(hour24, parseInt(minute), 0, 0);
+    static parseDays(text) {
+        const dayNames = BusinessHoursCalendar.DAY_NAMES;
+        const days = new Set();
 
-                return targetDate;
+        for (const part of text.split(',').map(p => p.trim().toLowerCase()).filter(Boolean)) {
+            const [from, to] = part.split('-').map(p => dayNames.indexOf(p.trim().slice(0, 3)));
+            if (from === -1 || to === -1) {
+                throw new Error(`Unknown day in "${part}"`);
+            }
+            if (to === undefined) {
+                days.add(from);
+                continue;
+            }
+            // Ranges may wrap around the week, e.g. Fri-Mon
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
             }
         }
 
-        // Handle other date formats
-        try {
-            // MM/DD/YYYY format
-            let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s*(\d{1,2}):(\d{2})\s*([AP]M)?/i);
-            if (match) {
-                const [, month, day, year, hour, minute, period] = match;
-                let hour24 = parseInt(hour);
-                if (period) {
-                    const periodUpper = period.toUpperCase();
-                    if (periodUpper === 'PM' && hour24 !== 12) hour24 += 12;
-                    if (periodUpper === 'AM' && hour24 === 12) hour24 = 0;
-                }
-                return new Date(parseInt(year), parseInt(month) - 1, parseInt(day), hour24, parseInt(minute));
+        return days;
+    }
+
+    static parseRanges(text) {
+        const ranges = [];
+        const pattern = /(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+            const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+            if (start > 24 * 60 || end > 24 * 60 || parseInt(match[2]) > 59 || parseInt(match[4]) > 59) {
+                throw new Error(`Invalid time range "${match[0]}"`);
             }
+            ranges.push([start, end]);
+        }
+        return ranges;
+    }
 
-            // Try standard Date.parse as fallback
-            const parsed = Date.parse(text);
-            if (!isNaN(parsed)) {
-                return new Date(parsed);
+    // "2026-12-25; 2026-12-24 09:00-12:00" -> Map of date key to special ranges ([] = closed all day)
+    static parseHolidays(text) {
+        const holidays = new Map();
+        const entries = String(text || '').split(/[;\n]/).map(entry => entry.trim()).filter(Boolean);
+
+        for (const entry of entries) {
+            const match = entry.match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+((?:\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2}\s*)+))?$/);
+            if (!match) {
+                throw new Error(`Cannot read holiday "${entry}" - use YYYY-MM-DD with optional hours`);
             }
-        } catch (e) {
-            // Silently ignore parsing errors
+            const dateKey = `${match[1]}-${match[2]}-${match[3]}`;
+            const ranges = match[4] ? BusinessHoursCalendar.parseRanges(match[4]) : [];
+            // A holiday replaces that one day's hours, so a range running past midnight has no day to go on
+            for (const [start, end] of ranges) {
+                if (end === start) {
+                    throw new Error(`Holiday hours in "${entry}" end when they start`);
+                }
+                if (end < start) {
+                    throw new Error(`Holiday hours in "${entry}" cannot run past midnight - list the next day as its own holiday`);
+                }
+            }
+            holidays.set(dateKey, ranges);
         }
 
-        return null;
+        return holidays;
     }
 
-    formatDateTimeForSheet(date) {
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const day = date.getDate().toString().padStart(2, '0');
-        const year = date.getFullYear();
-        let hours = date.getHours();
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        hours = hours === 0 ? 12 : (hours > 12 ? hours - 12 : hours);
-        const formattedHours = hours.toString().padStart(2, '0');
+    constructor(scheduleText, holidaysText, clock = new BusinessClock()) {
+        this.schedule = BusinessHoursCalendar.parseSchedule(scheduleText);
+        this.holidays = BusinessHoursCalendar.parseHolidays(holidaysText);
+        this.clock = clock;
+    }
 
-        return `${month}/${day}/${year} ${formattedHours}:${minutes} ${ampm}`;
+    getDateKey(date) {
+        return this.clock.formatDateKey(date);
     }
 
-    extractPhoneNumber(contact) {
-        const phoneMatch = contact.match(/\+?1?\s*\(?(\d{3})\)?[-.\s]?(\d{3})[-.\s]?(\d{4})/);
-        if (phoneMatch) {
-            return phoneMatch[1] + phoneMatch[2] + phoneMatch[3];
-        }
-        return contact;
+    isOpen(date) {
+        const { hour, minute, weekday } = this.clock.getParts(date);
+        const minutes = hour * 60 + minute;
+        const dateKey = this.getDateKey(date);
+        const ranges = this.holidays.has(dateKey) ? this.holidays.get(dateKey) : this.schedule[weekday];
+        return ranges.some(([start, end]) => minutes >= start && minutes < end);
     }
+}
 
-    // Helper function to extract phone number from entire row content
-    extractPhoneFromRow(row) {
-        // First try to find the caller info element
-        const callerInfoElement = row.querySelector('[data-testid="CommunicationsUI-Compact-View-callerInfo"]');
-        if (callerInfoElement) {
-            const phoneText = callerInfoElement.textContent.trim();
-            const phoneMatch = phoneText.match(/\+?1?\s*\(?(\d{3})\)?[-.\s]?(\d{3})[-.\s]?(\d{4})/);
-            if (phoneMatch) {
-                return `(${phoneMatch[1]})${phoneMatch[2]}-${phoneMatch[3]}`;
-            }
+// Wall-clock arithmetic in the configured business timezone, independent of the browser's own zone
+class BusinessClock {
+    static getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
         }
+    }
 
-        // Fallback: try to extract from entire row text
-        const allText = row.textContent;
-        const phoneMatch = allText.match(/\+?1?\s*\(?(\d{3})\)?[-.\s]?(\d{3})[-.\s]?(\d{4})/);
-        if (phoneMatch) {
-            return `(${phoneMatch[1]})${phoneMatch[2]}-${phoneMatch[3]}`;
+    // Settings validation: blank means "this computer's timezone", anything else must be an IANA name
+    static parseTimeZone(text) {
+        const timeZone = String(text || '').trim();
+        if (!timeZone) return '';
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+        } catch (e) {
+            throw new Error(`unknown timezone "${text}" - use an IANA name such as America/New_York`);
         }
-        return null;
     }
 
-    // New function to separate contact name from phone number
-    separateContactInfo(contact, row = null) {
-        const phoneMatch = contact.match(/\+?1?\s*\(?(\d{3})\)?[-.\s]?(\d{3})[-.\s]?(\d{4})/);
-        if (phoneMatch) {
-            const formattedPhone = `(${phoneMatch[1]})${phoneMatch[2]}-${phoneMatch[3]}`;
-            // If the contact is just a phone number, return it as both display and notes
-            if (contact.trim().replace(/[\s\-\(\)\+\.]/g, '').match(/^1?\d{10}$/)) {
-                return {
-                    displayNumber: formattedPhone,
-                    contactName: null
-                };
-            }
-            // If it's a name with phone number, separate them
-            const nameWithoutPhone = contact.replace(/\+?1?\s*\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/, '').trim();
-            return {
-                displayNumber: formattedPhone,
-                contactName: nameWithoutPhone || null
-            };
-        }
-        // If no phone number found in contact name, try to extract from entire row
-        if (row) {
-            const phoneFromRow = this.extractPhoneFromRow(row);
-            if (phoneFromRow) {
-                return {
-                    displayNumber: phoneFromRow,
-                    contactName: contact
-                };
-            }
-        }
+    constructor(timeZone = '') {
+        this.timeZone = BusinessClock.parseTimeZone(timeZone) || BusinessClock.getBrowserTimeZone();
+        this.partsFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        });
+    }
 
-        // If still no phone number found, this shouldn't happen in normal operation
-        // But we'll handle it gracefully
+    // { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) } as seen in the business timezone
+    getParts(date) {
+        const parts = {};
+        for (const { type, value } of this.partsFormat.formatToParts(date)) {
+            parts[type] = value;
+        }
         return {
-            displayNumber: contact,
-            contactName: contact
+            year: parseInt(parts.year),
+            month: parseInt(parts.month),
+            day: parseInt(parts.day),
+            hour: parseInt(parts.hour) % 24,
+            minute: parseInt(parts.minute),
+            second: parseInt(parts.second),
+            weekday: BusinessHoursCalendar.DAY_NAMES.indexOf(parts.weekday.toLowerCase())
         };
     }
 
-    isActualMissedCall(phoneNumber, timestamp) {
-        const oneHourAgo = new Date(timestamp.getTime() - 60 * 60 * 1000);
-        const oneHourLater = new Date(timestamp.getTime() + 60 * 60 * 1000);
-        const calls = this.recentCalls.get(phoneNumber) || [];
+    // Minutes east of UTC at that instant, e.g. -240 for New York in summer
+    getOffsetMinutes(date) {
+        const { year, month, day, hour, minute, second } = this.getParts(date);
+        const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+        return Math.round((wallAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
 
-        for (const call of calls) {
-            if (call.time > oneHourAgo && call.time < oneHourLater && call.isAnswered) {
-                return 'No';
+    // The instant a wall-clock time happens in the business timezone. Out-of-range values roll over
+    // (day 0 is the last day of the previous month); times skipped by a DST change move forward.
+    toDate({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+        const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+        let instant = wallAsUtc - this.getOffsetMinutes(new Date(wallAsUtc)) * 60000;
+        const offset = this.getOffsetMinutes(new Date(instant));
+        if (wallAsUtc - offset * 60000 !== instant) {
+            const corrected = wallAsUtc - offset * 60000;
+            // Only take the second guess if it really lands on the requested wall time
+            if (this.getOffsetMinutes(new Date(corrected)) === offset) {
+                instant = corrected;
             }
         }
+        return new Date(instant);
+    }
 
-        return 'Yes';
+    // Calendar date `days` away from the given parts, ignoring the time of day
+    addDays({ year, month, day }, days) {
+        const date = new Date(Date.UTC(year, month - 1, day + days));
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
     }
 
-    updateRecentCalls(phoneNumber, timestamp, isMissed, isAnswered = false) {
-        if (!this.recentCalls.has(phoneNumber)) {
-            this.recentCalls.set(phoneNumber, []);
-        }
+    startOfDay(date) {
+        const { year, month, day } = this.getParts(date);
+        return this.toDate({ year, month, day });
+    }
 
-        const calls = this.recentCalls.get(phoneNumber);
-        calls.push({
-            time: timestamp,
-            isMissed: isMissed,
-            isAnswered: isAnswered
-        });
+    startOfHour(date) {
+        const { year, month, day, hour } = this.getParts(date);
+        return this.toDate({ year, month, day, hour });
+    }
 
-        // Keep only calls from the last 2 hours and limit array size
-        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
-        const recentCalls = calls.filter(call => call.time > twoHoursAgo).slice(-10); // Max 10 calls per number
-        this.recentCalls.set(phoneNumber, recentCalls);
+    isSameDay(a, b) {
+        const first = this.getParts(a);
+        const second = this.getParts(b);
+        return first.year === second.year && first.month === second.month && first.day === second.day;
     }
 
-    async sendToGoogleSheets(record, isUpdate = false) {
-        // Check if we're still in real-time mode before sending
-        if (!this.isRealTimeMode) {
-            this.log('Skipping Google Sheets request - real-time mode is off');
-            return;
-        }
+    formatDateKey(date) {
+        const { year, month, day } = this.getParts(date);
+        return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
 
-        this.performanceMonitor.metrics.networkRequests++;
+    formatOffset(offsetMinutes) {
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const absolute = Math.abs(offsetMinutes);
+        return `${sign}${Math.floor(absolute / 60).toString().padStart(2, '0')}:${(absolute % 60).toString().padStart(2, '0')}`;
+    }
 
-        const phoneNumber = this.extractPhoneNumber(record.contact);
-        const actualMissedCall = this.isActualMissedCall(phoneNumber, record.timestamp);
+    // 2026-03-08T01:59:00-05:00
+    formatISO(date) {
+        const { year, month, day, hour, minute, second } = this.getParts(date);
+        const pad = (value) => value.toString().padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${this.formatOffset(this.getOffsetMinutes(date))}`;
+    }
 
-        const contactInfo = this.separateContactInfo(record.contact);
-        const data = {
-            dateTime: this.formatDateTimeForSheet(record.timestamp),
-            number: contactInfo.displayNumber,
-            frequency: 1,
-            actualMissedCall: actualMissedCall,
-            isUpdate: isUpdate,
-            phoneNumber: phoneNumber,
-            source: isUpdate ? 'Real-time Update' : 'Real-time Monitor',
-            notes: contactInfo.contactName
-        };
+    // Display strings for the UI, in the business timezone rather than the browser's
+    format(date, options = {}) {
+        return date.toLocaleString([], { ...options, timeZone: this.timeZone });
+    }
+}
 
-        const recordKey = `${phoneNumber}_${record.timestamp.getTime()}`;
-        this.sentRecords.set(recordKey, {
-            dateTime: data.dateTime,
-            number: data.number,
-            actualMissedCall: actualMissedCall
-        });
+// One parser for every timestamp format the message list shows. Relative labels ("Yesterday", "Monday",
+// "Oct 5") have several candidate dates; neighbouring rows pick between them since the list is newest first.
+class TimestampParser {
+    constructor(clock) {
+        this.clock = clock;
+        this.futureToleranceMs = 5 * 60 * 1000; // Nextiva's clock may run slightly ahead of ours
+        this.maxIssues = 50;
+        this.issues = new Map(); // key: timestamp text, value: { text, reason, count, lastSeen }
+        this.onIssue = () => {};
+    }
 
-        try {
-            const requestId = `${Date.now()}_${Math.random()}`;
-            this.pendingRequests.add(requestId);
-
-            GM_xmlhttpRequest({
-                method: 'POST',
-                url: this.googleScriptUrl,
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                data: JSON.stringify(data),
-                timeout: 10000,
-                anonymous: true, // Prevent sending credentials that might cause redirects
-                onload: (response) => {
-                    this.pendingRequests.delete(requestId);
-                    if (!this.isRealTimeMode) {
-                        this.log('Request completed but real-time mode is off - ignoring response');
-                        return;
-                    }
-                    if (response.status === 200) {
-                        this.log('Successfully sent to Google Sheets:', data);
-                        try {
-                            const result = JSON.parse(response.responseText);
-                            if (result.action === 'frequency_updated') {
-                                this.log('Frequency updated for existing record');
-                            }
-                        } catch (e) {
-                            // Ignore parsing errors
-                        }
-                    } else {
-                        this.log('Error sending to Google Sheets:', response);
-                    }
-                },
-                onerror: (error) => {
-                    this.pendingRequests.delete(requestId);
-                    this.performanceMonitor.logError(error, 'sendToGoogleSheets');
-                },
-                ontimeout: () => {
-                    this.pendingRequests.delete(requestId);
-                    this.log('Timeout sending to Google Sheets');
-                }
-            });
-        } catch (e) {
-            this.performanceMonitor.logError(e, 'sendToGoogleSheets');
-        }
+    static get MONTHS() {
+        return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
     }
 
-    async updateMissedCallsAfterAnswer(phoneNumber, answerTimestamp) {
-        // Check if we're still in real-time mode before processing
-        if (!this.isRealTimeMode) {
-            this.log('Skipping missed call update - real-time mode is off');
-            return 0;
+    // "3:45 PM", "3:45p.m.", "15:45", "15:45:10" -> { hour, minute, second, text }
+    parseTime(text) {
+        const match = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\b\.?)?/i);
+        if (!match) return null;
+
+        let hour = parseInt(match[1]);
+        const minute = parseInt(match[2]);
+        const second = match[3] ? parseInt(match[3]) : 0;
+        const period = match[4] ? match[4].toUpperCase() : null;
+
+        if (minute > 59 || second > 59) return { error: `invalid time "${match[0]}"` };
+        if (period) {
+            if (hour < 1 || hour > 12) return { error: `invalid 12-hour time "${match[0]}"` };
+            if (period === 'P' && hour !== 12) hour += 12;
+            if (period === 'A' && hour === 12) hour = 0;
+        } else if (hour > 23) {
+            return { error: `invalid 24-hour time "${match[0]}"` };
         }
+        return { hour, minute, second, text: match[0] };
+    }
 
-        const oneHourAgo = new Date(answerTimestamp.getTime() - 60 * 60 * 1000);
-        const affectedRecords = [];
+    getMonth(name) {
+        const index = TimestampParser.MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+        return index === -1 ? null : index + 1;
+    }
+
+    // Candidate calendar dates for the date part of a label, most likely first
+    getDateCandidates(text, today) {
+        const clock = this.clock;
+        const label = text.toLowerCase();
+
+        if (!label || label === 'today') {
+            // A bare time is today - or yesterday if that would put it in the future
+            return { format: label ? 'today' : 'time', dates: label ? [today] : [today, clock.addDays(today, -1)] };
+        }
+        if (label === 'yesterday') {
+            // The label can lag behind midnight, so today is the fallback
+            return { format: 'yesterday', dates: [clock.addDays(today, -1), today] };
+        }
+
+        const weekday = BusinessHoursCalendar.DAY_NAMES.indexOf(label.replace(/\.$/, '').slice(0, 3));
+        if (weekday !== -1 && /^[a-z]+\.?$/.test(label)) {
+            let daysAgo = today.weekday - weekday;
+            if (daysAgo <= 0) daysAgo += 7;
+            const dates = [];
+            for (let week = 0; week < 8; week++) {
+                dates.push(clock.addDays(today, -(daysAgo + week * 7)));
+            }
+            return { format: 'weekday', dates };
+        }
+
+        const candidatesForYears = (month, day, year) => {
+            if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+            const years = year ? [year] : [today.year, today.year - 1, today.year - 2];
+            return years
+                .map(candidateYear => clock.addDays({ year: candidateYear, month, day }, 0))
+                .filter(date => date.month === month); // Drops Feb 30 and friends
+        };
+
+        let match = label.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (match) {
+            return { format: 'iso', dates: candidatesForYears(parseInt(match[2]), parseInt(match[3]), parseInt(match[1])) };
+        }
+
+        match = label.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+        if (match) {
+            let [first, second] = [parseInt(match[1]), parseInt(match[2])];
+            const year = match[3] ? (match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3])) : null;
+            // Month first like Nextiva's US locale, unless the first number can only be a day
+            const dayFirst = first > 12 && second <= 12;
+            if (dayFirst) [first, second] = [second, first];
+            return { format: dayFirst ? 'numeric-day-first' : 'numeric', dates: candidatesForYears(first, second, year) };
+        }
+
+        // "Oct 5", "October 5th, 2026", "5 Oct 2026", optionally after a weekday ("Mon, Oct 5")
+        const withoutWeekday = label.replace(/^(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?,?\s+(?=\S)/, '');
+        match = withoutWeekday.match(/^(?:([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?|(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?)(?:,?\s+(\d{4}))?$/);
+        if (match) {
+            const month = this.getMonth(match[1] || match[4]);
+            if (month) {
+                return { format: 'month-name', dates: candidatesForYears(month, parseInt(match[2] || match[3]), match[5] ? parseInt(match[5]) : null) };
+            }
+        }
+
+        return null;
+    }
+
+    // { date, format, confidence: 'high' | 'inferred' | 'low', reason } or null if the text can't be read at all.
+    // notAfter / notBefore are the timestamps of the rows above (newer) and below (older), when known.
+    parse(text, { now = new Date(), notAfter = null, notBefore = null, record = true } = {}) {
+        const raw = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!raw) return null;
+
+        // Full ISO 8601 with an offset is unambiguous
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+            return { date: new Date(raw), format: 'iso-offset', confidence: 'high', reason: null, anchor: true };
+        }
+
+        const normalised = raw.replace(/(\d)T(?=\d{2}:)/, '$1 ');
+        const time = this.parseTime(normalised);
+        if (time && time.error) {
+            if (record) this.recordIssue(raw, time.error);
+            return null;
+        }
+
+        const dateText = (time ? normalised.replace(time.text, ' ') : normalised)
+            .replace(/\bat\b/i, ' ')
+            .replace(/[\s,]+/g, ' ')
+            .trim();
+        const today = this.clock.getParts(now);
+        const candidates = this.getDateCandidates(dateText, today);
+        if (!candidates || !candidates.dates || candidates.dates.length === 0) {
+            if (record) this.recordIssue(raw, 'unrecognised format');
+            return null;
+        }
+
+        const { hour = 0, minute = 0, second = 0 } = time || {};
+        const dates = candidates.dates.map(date => this.clock.toDate({ ...date, hour, minute, second }));
+        const upper = Math.min(now.getTime() + this.futureToleranceMs, notAfter ? notAfter.getTime() : Infinity);
+        const lower = notBefore ? notBefore.getTime() : -Infinity;
+        // A date without a time could be any moment of that day
+        const span = time ? 0 : 24 * 60 * 60 * 1000 - 1;
+
+        let index = dates.findIndex(date => date.getTime() <= upper && date.getTime() + span >= lower);
+        let confidence = index === 0 ? 'high' : 'inferred';
+        let reason = index > 0 ? `read as ${this.clock.formatDateKey(dates[index])}` : null;
+
+        if (index === -1) {
+            index = dates.findIndex(date => date.getTime() <= upper);
+            confidence = 'low';
+            reason = index === -1 ? 'in the future' : 'out of order with neighbouring rows';
+            if (index === -1) index = 0;
+        }
+        if (!time && confidence !== 'low') {
+            confidence = 'low';
+            reason = 'no time of day';
+        }
+
+        if (confidence === 'low' && record) {
+            this.recordIssue(raw, reason);
+        }
+        // Bare times and fully dated labels say what they mean; the others are only best guesses
+        const anchor = confidence === 'high' && (candidates.format === 'time' || dates.length === 1);
+        return { date: dates[index], format: candidates.format, confidence, reason, anchor };
+    }
+
+    // Parses a column of labels ordered newest first, using each row's neighbours to settle ambiguous dates
+    parseSequence(texts, now = new Date()) {
+        const independent = texts.map(text => this.parse(text, { now, record: false }));
+        const results = [];
+        let notAfter = null;
+
+        for (let i = 0; i < texts.length; i++) {
+            let notBefore = null;
+            for (let j = i + 1; j < independent.length; j++) {
+                if (independent[j] && independent[j].anchor) {
+                    notBefore = independent[j].date;
+                    break;
+                }
+            }
+
+            const result = this.parse(texts[i], { now, notAfter, notBefore });
+            results.push(result);
+            // A row we couldn't place shouldn't drag the rows below it along
+            if (result && result.confidence !== 'low') notAfter = result.date;
+        }
+        return results;
+    }
+
+    recordIssue(text, reason) {
+        const existing = this.issues.get(text);
+        if (existing) {
+            existing.count++;
+            existing.reason = reason;
+            existing.lastSeen = Date.now();
+            return;
+        }
+
+        const issue = { text, reason, count: 1, lastSeen: Date.now() };
+        this.issues.set(text, issue);
+        if (this.issues.size > this.maxIssues) {
+            this.issues.delete(this.issues.keys().next().value);
+        }
+        this.onIssue(issue);
+    }
+
+    getIssues() {
+        return Array.from(this.issues.values()).sort((a, b) => b.lastSeen - a.lastSeen);
+    }
+
+    clearIssues() {
+        this.issues.clear();
+    }
+}
+
+// Turns whatever Nextiva shows into one canonical key per number: E.164 plus ";ext=" when there is an extension
+class PhoneNumberNormalizer {
+    // nationalLengths exclude the trunk prefix; format() receives the national significant number
+    static get COUNTRIES() {
+        const nanp = {
+            code: '1',
+            trunkPrefix: '1',
+            nationalLengths: [10],
+            format: (d) => `(${d.slice(0, 3)})${d.slice(3, 6)}-${d.slice(6)}`
+        };
+        return {
+            US: nanp,
+            CA: nanp,
+            GB: {
+                code: '44',
+                trunkPrefix: '0',
+                nationalLengths: [9, 10],
+                format: (d) => d.startsWith('7') || d.length === 9 ? `0${d.slice(0, 4)} ${d.slice(4)}` : `0${d.slice(0, 2)} ${d.slice(2, 6)} ${d.slice(6)}`
+            },
+            IE: { code: '353', trunkPrefix: '0', nationalLengths: [8, 9], format: (d) => `0${d.slice(0, 2)} ${d.slice(2, 5)} ${d.slice(5)}` },
+            AU: { code: '61', trunkPrefix: '0', nationalLengths: [9], format: (d) => `0${d.slice(0, 1)} ${d.slice(1, 5)} ${d.slice(5)}` },
+            NZ: { code: '64', trunkPrefix: '0', nationalLengths: [8, 9, 10], format: (d) => `0${d.slice(0, 2)} ${d.slice(2, 5)} ${d.slice(5)}` },
+            DE: { code: '49', trunkPrefix: '0', nationalLengths: [7, 8, 9, 10, 11], format: (d) => `0${d.slice(0, 3)} ${d.slice(3)}` },
+            FR: { code: '33', trunkPrefix: '0', nationalLengths: [9], format: (d) => `0${d.slice(0, 1)} ${d.slice(1).match(/\d{2}/g).join(' ')}` },
+            ES: { code: '34', trunkPrefix: '', nationalLengths: [9], format: (d) => `${d.slice(0, 3)} ${d.slice(3, 6)} ${d.slice(6)}` },
+            MX: { code: '52', trunkPrefix: '', nationalLengths: [10], format: (d) => `${d.slice(0, 2)} ${d.slice(2, 6)} ${d.slice(6)}` },
+            IN: { code: '91', trunkPrefix: '0', nationalLengths: [10], format: (d) => `${d.slice(0, 5)} ${d.slice(5)}` },
+            PH: { code: '63', trunkPrefix: '0', nationalLengths: [9, 10], format: (d) => `0${d.slice(0, 3)} ${d.slice(3, 6)} ${d.slice(6)}` }
+        };
+    }
+
+    // Settings validation: throws on a country we have no numbering rules for
+    static parseCountry(text) {
+        const country = String(text || '').trim().toUpperCase();
+        if (!PhoneNumberNormalizer.COUNTRIES[country]) {
+            throw new Error(`unknown country "${text}" - use one of ${Object.keys(PhoneNumberNormalizer.COUNTRIES).join(', ')}`);
+        }
+        return country;
+    }
+
+    constructor(defaultCountry = 'US') {
+        this.defaultCountry = PhoneNumberNormalizer.parseCountry(defaultCountry);
+        this.country = PhoneNumberNormalizer.COUNTRIES[this.defaultCountry];
+    }
+
+    // Finds the phone number inside free text such as "Acme Corp +44 20 7946 0958 ext. 12". One run of
+    // digit groups can hold more than a number ("Store #12 555-123-4567"), so the longest stretch of
+    // whole groups that fits a numbering plan is taken.
+    findNumber(text) {
+        const pattern = /(\+|\b00|\b011)?\s*\(?\d[\d\s().-]*\d\)?(?:\s*(?:ext\.?|extension|x|#)\s*(\d{1,6}))?/gi;
+        let best = null;
+        for (const match of String(text || '').matchAll(pattern)) {
+            const found = this.findNumberInRun(match);
+            if (found && (!best || found.digits.length > best.digits.length)) {
+                best = found;
+            }
+        }
+        return best;
+    }
+
+    findNumberInRun(match) {
+        const extension = match[2] || null;
+        const run = extension ? match[0].replace(/\s*(?:ext\.?|extension|x|#)\s*\d+$/i, '') : match[0];
+        const groups = Array.from(run.matchAll(/\d+/g));
+
+        const readDigits = (text, digits) => {
+            const isInternational = /^(\+|00|011)/.test(text);
+            if (text.startsWith('011')) return { isInternational, digits: digits.slice(3) };
+            if (text.startsWith('00')) return { isInternational, digits: digits.slice(2) };
+            return { isInternational, digits };
+        };
+
+        let best = null;
+        for (let i = 0; i < groups.length; i++) {
+            for (let j = groups.length; j > i; j--) {
+                let start = i === 0 ? 0 : groups[i].index;
+                while (start > 0 && /[+(]/.test(run[start - 1])) start--;
+                let end = groups[j - 1].index + groups[j - 1][0].length;
+                if (run[end] === ')') end++;
+
+                const text = run.slice(start, end).trim();
+                const { isInternational, digits } = readDigits(text, groups.slice(i, j).map(group => group[0]).join(''));
+                if (best && digits.length <= best.digits.length) continue;
+
+                const resolved = this.resolveDigits(digits, isInternational);
+                if (resolved) {
+                    const hasExtension = Boolean(extension) && j === groups.length;
+                    best = {
+                        text: hasExtension ? match[0].slice(start).trim() : text,
+                        index: match.index + start,
+                        digits,
+                        isInternational,
+                        resolved,
+                        extension: hasExtension ? extension : null
+                    };
+                }
+            }
+        }
+        if (best) return best;
+
+        // Short codes and internal extensions have no E.164 form, keep them as dialled. Only a code on its
+        // own counts - digits inside a name ("Suite 101 Bakery") are not the caller's number.
+        const whole = readDigits(run.trim(), groups.map(group => group[0]).join(''));
+        if (!whole.isInternational && whole.digits.length >= 3 && whole.digits.length <= 6 &&
+            match[0].trim() === String(match.input).trim()) {
+            return { text: run.trim(), index: match.index, digits: whole.digits, isInternational: false, resolved: null, extension };
+        }
+        return null;
+    }
+
+    // Splits digits into a country and national number, or null when no numbering plan fits them
+    resolveDigits(digits, isInternational) {
+        if (isInternational) {
+            const codeMatches = Object.entries(PhoneNumberNormalizer.COUNTRIES)
+                .filter(([, country]) => digits.startsWith(country.code));
+            // Longest matching calling code wins (e.g. 353 before 35x)
+            const candidates = codeMatches
+                .filter(([, country]) => country.nationalLengths.includes(digits.length - country.code.length))
+                .sort((a, b) => b[1].code.length - a[1].code.length);
+            if (candidates.length > 0) {
+                const preferred = candidates.find(([key]) => key === this.defaultCountry) || candidates[0];
+                return { countryKey: preferred[0], national: digits.slice(preferred[1].code.length) };
+            }
+            // A calling code we have no rules for is kept as dialled, as long as it fits E.164
+            if (codeMatches.length === 0 && digits.length >= 8 && digits.length <= 15) {
+                return { countryKey: null, national: null };
+            }
+            return null;
+        }
+
+        const country = this.country;
+        if (country.trunkPrefix && digits.startsWith(country.trunkPrefix) &&
+            country.nationalLengths.includes(digits.length - country.trunkPrefix.length)) {
+            return { countryKey: this.defaultCountry, national: digits.slice(country.trunkPrefix.length) };
+        }
+        if (country.nationalLengths.includes(digits.length)) {
+            return { countryKey: this.defaultCountry, national: digits };
+        }
+        if (digits.startsWith(country.code) && country.nationalLengths.includes(digits.length - country.code.length)) {
+            // Calling code typed without the "+"
+            return { countryKey: this.defaultCountry, national: digits.slice(country.code.length) };
+        }
+        return null;
+    }
+
+    // "+15551234567" -> "5551234567" for numbers in the default country's plan, otherwise null
+    toNationalNumber(e164) {
+        const prefix = `+${this.country.code}`;
+        return e164 && e164.startsWith(prefix) ? e164.slice(prefix.length) : null;
+    }
+
+    // Returns { e164, extension, key, display, isShortCode } or null when the text holds no number
+    parse(text) {
+        const found = this.findNumber(text);
+        if (!found) return null;
+
+        if (!found.resolved) {
+            return { e164: null, extension: found.extension, key: found.digits, display: found.digits, isShortCode: true, matchedText: found.text };
+        }
+
+        const { countryKey, national } = found.resolved;
+        let e164;
+        let display;
+        if (countryKey) {
+            const country = PhoneNumberNormalizer.COUNTRIES[countryKey];
+            e164 = `+${country.code}${national}`;
+            const regional = country.format(national);
+            display = country === this.country || country.code === this.country.code ?
+                regional :
+                `+${country.code} ${regional.replace(new RegExp(`^${country.trunkPrefix || '(?!)'}`), '')}`;
+        } else {
+            e164 = `+${found.digits}`;
+            display = `+${found.digits}`;
+        }
+
+        const extension = found.extension;
+        return {
+            e164,
+            extension,
+            key: extension ? `${e164};ext=${extension}` : e164,
+            display: extension ? `${display} ext. ${extension}` : display,
+            isShortCode: false,
+            matchedText: found.text
+        };
+    }
+}
+
+// Locally imported customer list (CSV or vCard), looked up by normalised phone number
+class AddressBook {
+    constructor() {
+        this.storageKey = 'nextiva_address_book';
+        this.contacts = [];
+        this.byPhone = new Map();
+        this.importedAt = null;
+        this.load();
+    }
+
+    // Header names we recognise in CSV exports, matched case-insensitively after stripping punctuation
+    static get CSV_COLUMNS() {
+        return {
+            name: ['name', 'fullname', 'customer', 'customername', 'displayname', 'company', 'companyname'],
+            firstName: ['firstname', 'givenname', 'first'],
+            lastName: ['lastname', 'familyname', 'surname', 'last'],
+            phone: ['phone', 'phonenumber', 'telephone', 'tel', 'mobile', 'mobilephone', 'cell', 'cellphone', 'homephone', 'workphone', 'businessphone', 'phone1', 'phone2', 'phone3'],
+            accountId: ['accountid', 'account', 'accountnumber', 'customerid', 'customernumber', 'id', 'clientid'],
+            tags: ['tags', 'tag', 'groups', 'group', 'categories', 'category', 'labels']
+        };
+    }
+
+    // RFC 4180 parsing: quoted fields may hold commas, doubled quotes and line breaks
+    static parseCSVRows(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    static parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        // Semicolon-separated files come out of European spreadsheet locales
+        const headerLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+        const rows = AddressBook.parseCSVRows(content, delimiter);
+        if (rows.length < 2) {
+            throw new Error('the CSV needs a header row and at least one contact');
+        }
+
+        const columns = {};
+        rows[0].forEach((header, index) => {
+            const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+            for (const [field, names] of Object.entries(AddressBook.CSV_COLUMNS)) {
+                if (!names.includes(normalized)) continue;
+                columns[field] = columns[field] || [];
+                columns[field].push(index);
+            }
+        });
+        if (!columns.phone) {
+            throw new Error('no phone column found - expected a header such as "Phone" or "Mobile"');
+        }
+
+        const first = (cells, field) => (columns[field] || []).map(index => (cells[index] || '').trim()).find(Boolean) || '';
+        return rows.slice(1).map(cells => {
+            const name = first(cells, 'name') || [first(cells, 'firstName'), first(cells, 'lastName')].filter(Boolean).join(' ');
+            return {
+                name,
+                accountId: first(cells, 'accountId'),
+                tags: first(cells, 'tags').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean),
+                phones: columns.phone.map(index => (cells[index] || '').trim()).filter(Boolean)
+            };
+        });
+    }
+
+    static parseVCard(text) {
+        // Unfold continuation lines (RFC 6350 section 3.2) before splitting into properties
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const contacts = [];
+        let current = null;
+
+        const unescape = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+        for (const line of lines) {
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+            // "item1.TEL;TYPE=CELL" -> "TEL"
+            const property = line.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+            const value = line.slice(separator + 1);
+
+            if (property === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+                current = { name: '', structuredName: '', org: '', accountId: '', tags: [], phones: [] };
+            } else if (property === 'END' && current) {
+                current.name = current.name || current.structuredName || current.org;
+                delete current.structuredName;
+                delete current.org;
+                contacts.push(current);
+                current = null;
+            } else if (current) {
+                switch (property) {
+                    case 'FN': current.name = unescape(value); break;
+                    case 'N': {
+                        const [family = '', given = ''] = value.split(';').map(unescape);
+                        current.structuredName = [given, family].filter(Boolean).join(' ');
+                        break;
+                    }
+                    case 'ORG': current.org = unescape(value.split(';')[0]); break;
+                    case 'TEL': current.phones.push(value.replace(/^tel:/i, '').trim()); break;
+                    case 'CATEGORIES': current.tags.push(...value.split(',').map(unescape).filter(Boolean)); break;
+                    case 'UID':
+                    case 'X-ACCOUNT-ID':
+                    case 'X-CUSTOMER-ID':
+                        // A custom account field wins over a generic UID
+                        if (property !== 'UID' || !current.accountId) current.accountId = unescape(value).replace(/^urn:uuid:/i, '');
+                        break;
+                }
+            }
+        }
+        return contacts;
+    }
+
+    static parse(text, filename = '') {
+        return /\.vcf$/i.test(filename) || /^\s*BEGIN:VCARD/i.test(text) ?
+            AddressBook.parseVCard(text) :
+            AddressBook.parseCSV(text);
+    }
+
+    // Replaces the stored book; phone keys come from the collector's normaliser so they match call records
+    import(text, filename, normalizer) {
+        const parsed = AddressBook.parse(text, filename);
+        const contacts = [];
+        let skipped = 0;
+
+        for (const contact of parsed) {
+            const keys = contact.phones
+                .map(phone => normalizer.parse(phone))
+                .filter(Boolean)
+                .map(result => result.key);
+            if (keys.length === 0 || !(contact.name || contact.accountId)) {
+                skipped++;
+                continue;
+            }
+            contacts.push({
+                name: contact.name.replace(/\s+/g, ' ').trim(),
+                accountId: contact.accountId,
+                tags: contact.tags,
+                phones: Array.from(new Set(keys))
+            });
+        }
+
+        this.contacts = contacts;
+        this.importedAt = Date.now();
+        this.index();
+        this.save();
+        return { imported: contacts.length, numbers: this.byPhone.size, skipped };
+    }
+
+    index() {
+        this.byPhone = new Map();
+        for (const contact of this.contacts) {
+            for (const key of contact.phones) {
+                // First entry wins when two customers share a number
+                if (!this.byPhone.has(key)) this.byPhone.set(key, contact);
+            }
+        }
+    }
+
+    lookup(phoneKey) {
+        if (!phoneKey) return null;
+        // A call from an extension still belongs to the main number's customer
+        return this.byPhone.get(phoneKey) || this.byPhone.get(phoneKey.split(';')[0]) || null;
+    }
+
+    clear() {
+        this.contacts = [];
+        this.byPhone = new Map();
+        this.importedAt = null;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    load() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                const parsed = JSON.parse(data);
+                this.contacts = parsed.contacts || [];
+                this.importedAt = parsed.importedAt || null;
+                this.index();
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error loading address book:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ contacts: this.contacts, importedAt: this.importedAt }));
+        } catch (e) {
+            throw new Error(`address book is too large to store (${this.contacts.length} contacts): ${e.message}`);
+        }
+    }
+}
+
+// Keeps ignored numbers and likely spam out of the records, logging what it drops for review
+class CallFilter {
+    constructor(settings, normalizer) {
+        this.settings = settings;
+        this.storageKey = 'nextiva_filtered_calls';
+        this.maxLogEntries = 500;
+        this.recentInbound = new Map(); // key: phone number, value: timestamps (ms) of recent inbound calls
+        this.entries = [];
+        this.setRules(settings.get('ignoreList'), normalizer);
+        this.load();
+    }
+
+    static get WITHHELD_PATTERN() {
+        return /^(anonymous|private|private number|unknown|unknown caller|withheld|restricted|blocked|no caller id|unavailable|caller id unavailable)$/i;
+    }
+
+    // "+15551234567; 800*; +1555???0000" -> exact numbers, prefixes (trailing *) and wildcards (* and ?)
+    static parseIgnoreList(text) {
+        return String(text || '')
+            .split(/[;,\n]/)
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                if (!/^[+\d*?()\s.-]+$/.test(entry)) {
+                    throw new Error(`"${entry}" may only contain digits, +, * and ?`);
+                }
+                const compact = entry.replace(/[()\s.-]/g, '');
+                if (!/\d/.test(compact)) {
+                    throw new Error(`"${entry}" would ignore every caller`);
+                }
+
+                const wildcardAt = compact.search(/[*?]/);
+                if (wildcardAt === -1) {
+                    return { pattern: entry, kind: 'exact', value: compact };
+                }
+                const kind = wildcardAt === compact.length - 1 && compact.endsWith('*') ? 'prefix' : 'wildcard';
+                const source = compact.replace(/\+/g, '\\+').replace(/\*/g, '\\d*').replace(/\?/g, '\\d');
+                return { pattern: entry, kind, regex: new RegExp(`^${source}$`) };
+            });
+    }
+
+    setRules(text, normalizer) {
+        this.rules = CallFilter.parseIgnoreList(text).map(rule => {
+            if (rule.kind !== 'exact') return rule;
+            // Exact numbers compare by canonical key so any formatting of the same number matches
+            const parsed = normalizer.parse(rule.value);
+            return { ...rule, key: parsed ? parsed.key : rule.value };
+        });
+        this.rulesText = text;
+        this.normalizer = normalizer;
+    }
+
+    // Patterns are tried against the E.164 key, its digits, the national number with and without the
+    // trunk prefix, and the displayed digits - so "800*" and "0800*" match however the number is shown
+    matchIgnoreList(phoneNumber, displayNumber) {
+        const baseKey = phoneNumber.split(';')[0];
+        const national = this.normalizer.toNationalNumber(baseKey);
+        const candidates = [baseKey, baseKey.replace(/\D/g, ''), String(displayNumber || '').replace(/\D/g, '')];
+        if (national) {
+            candidates.push(national, `${this.normalizer.country.trunkPrefix}${national}`);
+        }
+        return this.rules.find(rule => {
+            if (rule.kind === 'exact') {
+                return rule.key === phoneNumber || rule.key === baseKey;
+            }
+            return candidates.some(candidate => rule.regex.test(candidate));
+        }) || null;
+    }
+
+    // Only a blank or explicitly hidden caller ID - a contact shown by name alone is still a known caller
+    isWithheld(contact) {
+        const text = String(contact || '').trim();
+        return text === '' || CallFilter.WITHHELD_PATTERN.test(text);
+    }
+
+    // Calls with minute-resolution timestamps, so "within a minute" means the same or adjacent minute
+    countRecentRepeats(phoneNumber, timestamp) {
+        const time = timestamp.getTime();
+        const recent = (this.recentInbound.get(phoneNumber) || []).filter(seen => Math.abs(time - seen) <= 60 * 1000);
+        recent.push(time);
+        this.recentInbound.set(phoneNumber, recent);
+        if (this.recentInbound.size > 1000) {
+            this.recentInbound.delete(this.recentInbound.keys().next().value);
+        }
+        return recent.length;
+    }
+
+    // Returns why a call should be dropped, or null to keep it
+    check({ phoneNumber, contact, timestamp, isMissedCall, isOutgoingCall }) {
+        const rule = this.matchIgnoreList(phoneNumber, contact);
+        if (rule) {
+            return `Ignore list (${rule.kind}): ${rule.pattern}`;
+        }
+        if (isOutgoingCall) return null;
+
+        if (this.settings.get('filterWithheldCallers') && this.isWithheld(contact)) {
+            return 'Withheld caller ID';
+        }
+
+        // Only missed calls count towards repeats; dropping an answer would leave its missed call unrecovered
+        const maxPerMinute = this.settings.get('spamCallsPerMinute');
+        if (isMissedCall && maxPerMinute > 0) {
+            const count = this.countRecentRepeats(phoneNumber, timestamp);
+            if (count > maxPerMinute) {
+                return `Rapid repeat: ${count} calls within a minute`;
+            }
+        }
+        return null;
+    }
+
+    record(entry) {
+        this.entries.push({ ...entry, filteredAt: Date.now() });
+        if (this.entries.length > this.maxLogEntries) {
+            this.entries = this.entries.slice(-this.maxLogEntries);
+        }
+        this.save();
+    }
+
+    clearLog() {
+        this.entries = [];
+        this.save();
+    }
+
+    load() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                this.entries = JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error loading filtered call log:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (e) {
+            console.error('[NextivaCollector] Error saving filtered call log:', e);
+        }
+    }
+}
+
+// Leader election between monitoring tabs over BroadcastChannel: the leader polls and sends,
+// followers mirror its state and the oldest surviving tab takes over when the leader goes away
+class TabCoordinator {
+    constructor(options = {}) {
+        this.channelName = options.channelName || 'nextiva_collector';
+        this.heartbeatMs = options.heartbeatMs || 2000;
+        this.leaderTimeoutMs = options.leaderTimeoutMs || 6000;
+        this.electionDelayMs = options.electionDelayMs || 1000;
+        this.onBecomeLeader = options.onBecomeLeader || (() => {});
+        this.onBecomeFollower = options.onBecomeFollower || (() => {});
+        this.onState = options.onState || (() => {});
+        this.onStateRequested = options.onStateRequested || (() => {});
+
+        // Sorts by creation time, so ties between candidates go to the longest-open tab
+        this.tabId = `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+        this.role = 'idle';
+        this.leaderId = null;
+        this.lastLeaderSeen = 0;
+        this.channel = null;
+        this.heartbeatTimer = null;
+        this.electionTimer = null;
+    }
+
+    isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    isLeader() {
+        return this.role === 'leader';
+    }
+
+    isFollower() {
+        return this.role === 'follower';
+    }
+
+    start() {
+        if (this.role !== 'idle') return;
+
+        if (!this.isSupported()) {
+            // Nothing to coordinate with - behave like a single tab
+            this.becomeLeader();
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+        this.heartbeatTimer = setInterval(() => this.tick(), this.heartbeatMs);
+        this.startElection(this.electionDelayMs);
+        this.post({ type: 'hello' });
+    }
+
+    stop() {
+        if (this.role === 'leader') {
+            this.post({ type: 'resign' });
+        }
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.electionTimer);
+        this.heartbeatTimer = null;
+        this.electionTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.role = 'idle';
+        this.leaderId = null;
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ ...message, tabId: this.tabId });
+        } catch (e) {
+            console.error('[NextivaCollector] Error posting to other tabs:', e);
+        }
+    }
+
+    broadcastState(state) {
+        if (this.role === 'leader') {
+            this.post({ type: 'state', state });
+        }
+    }
+
+    // Wait a moment for an existing leader to answer before claiming the role
+    startElection(delay) {
+        this.role = 'candidate';
+        this.leaderId = null;
+        clearTimeout(this.electionTimer);
+        this.electionTimer = setTimeout(() => {
+            if (this.role === 'candidate') {
+                this.becomeLeader();
+            }
+        }, delay);
+    }
+
+    becomeLeader() {
+        this.role = 'leader';
+        this.leaderId = this.tabId;
+        this.post({ type: 'heartbeat' });
+        this.onBecomeLeader();
+    }
+
+    becomeFollower(leaderId) {
+        const wasFollower = this.role === 'follower';
+        clearTimeout(this.electionTimer);
+        this.role = 'follower';
+        this.leaderId = leaderId;
+        this.lastLeaderSeen = Date.now();
+        if (!wasFollower) {
+            this.onBecomeFollower(leaderId);
+        }
+    }
+
+    tick() {
+        if (this.role === 'leader') {
+            this.post({ type: 'heartbeat' });
+        } else if (this.role === 'follower' && Date.now() - this.lastLeaderSeen > this.leaderTimeoutMs) {
+            // Leader crashed or was suspended without saying goodbye
+            this.startElection(Math.random() * 500);
+        }
+    }
+
+    handleMessage(message) {
+        if (!message || message.tabId === this.tabId || this.role === 'idle') return;
+
+        switch (message.type) {
+            case 'hello':
+                if (this.role === 'leader') {
+                    this.post({ type: 'heartbeat' });
+                    this.onStateRequested();
+                }
+                break;
+            case 'heartbeat':
+                if (this.role === 'leader') {
+                    // Two leaders after a race: the older tab keeps the role
+                    if (message.tabId < this.tabId) {
+                        this.becomeFollower(message.tabId);
+                    } else {
+                        this.post({ type: 'heartbeat' });
+                    }
+                } else {
+                    this.becomeFollower(message.tabId);
+                }
+                break;
+            case 'resign':
+                if (this.role === 'follower' && message.tabId === this.leaderId) {
+                    this.startElection(Math.random() * 500);
+                }
+                break;
+            case 'state':
+                if (this.role === 'follower' && message.tabId === this.leaderId) {
+                    this.lastLeaderSeen = Date.now();
+                    this.onState(message.state);
+                }
+                break;
+        }
+    }
+}
+
+// Full call history in IndexedDB, queryable by phone number and timestamp
+class CallHistoryStore {
+    constructor(dbName = 'nextiva_collector') {
+        this.dbName = dbName;
+        this.version = 3;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        // Missed call records keyed like getRecordKey(): "<phone>_<timestamp ms>"
+                        const records = db.createObjectStore('records', { keyPath: 'key' });
+                        records.createIndex('phoneNumber', 'phoneNumber');
+                        records.createIndex('timestamp', 'timestamp');
+                        // Records already written to the sheet, so later answers can update them
+                        const sent = db.createObjectStore('sent', { keyPath: 'key' });
+                        sent.createIndex('timestamp', 'timestamp');
+                        // Small named values: session counters, migration flags
+                        db.createObjectStore('meta', { keyPath: 'name' });
+                    }
+                    if (event.oldVersion < 2) {
+                        // Answered inbound calls, for missed vs answered analytics
+                        const answers = db.createObjectStore('answers', { keyPath: 'key' });
+                        answers.createIndex('phoneNumber', 'phoneNumber');
+                        answers.createIndex('timestamp', 'timestamp');
+                    }
+                    if (event.oldVersion >= 1 && event.oldVersion < 3) {
+                        const storeNames = event.oldVersion >= 2 ? ['records', 'sent', 'answers'] : ['records', 'sent'];
+                        storeNames.forEach(name => CallHistoryStore.migrateToE164(request.transaction.objectStore(name)));
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+            // Let a later call try again rather than caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Before v3, phone keys were bare 10-digit US numbers; those become +1 E.164 keys
+    static migrateToE164(store) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const entry = cursor.value;
+            const match = entry.key.match(/^(\d{10})_(\d+)$/);
+            if (match) {
+                cursor.delete();
+                store.put({
+                    ...entry,
+                    key: `+1${match[1]}_${match[2]}`,
+                    ...(entry.phoneNumber ? { phoneNumber: `+1${match[1]}` } : {})
+                });
+            }
+            cursor.continue();
+        };
+    }
+
+    // Runs work(stores) in one transaction; resolves with whatever the last request returned
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+            const request = work(...stores);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    putRecords(entries) {
+        if (entries.length === 0) return Promise.resolve();
+        return this.transaction(['records'], 'readwrite', (records) => {
+            entries.forEach(entry => records.put(entry));
+        });
+    }
+
+    putSent(entries) {
+        if (entries.length === 0) return Promise.resolve();
+        return this.transaction(['sent'], 'readwrite', (sent) => {
+            entries.forEach(entry => sent.put(entry));
+        });
+    }
+
+    getRecordsByPhone(phoneNumber) {
+        return this.transaction(['records'], 'readonly', (records) =>
+            records.index('phoneNumber').getAll(phoneNumber));
+    }
+
+    getRecordsBetween(from, to) {
+        return this.transaction(['records'], 'readonly', (records) =>
+            records.index('timestamp').getAll(IDBKeyRange.bound(from.getTime(), to.getTime())));
+    }
+
+    getAllRecords() {
+        return this.transaction(['records'], 'readonly', (records) => records.getAll());
+    }
+
+    countRecords() {
+        return this.transaction(['records'], 'readonly', (records) => records.count());
+    }
+
+    putAnswers(entries) {
+        if (entries.length === 0) return Promise.resolve();
+        return this.transaction(['answers'], 'readwrite', (answers) => {
+            entries.forEach(entry => answers.put(entry));
+        });
+    }
+
+    getAnswersBetween(from, to) {
+        return this.transaction(['answers'], 'readonly', (answers) =>
+            answers.index('timestamp').getAll(IDBKeyRange.bound(from.getTime(), to.getTime())));
+    }
+
+    getSent(key) {
+        return this.transaction(['sent'], 'readonly', (sent) => sent.get(key));
+    }
+
+    getSentSince(from) {
+        return this.transaction(['sent'], 'readonly', (sent) =>
+            sent.index('timestamp').getAll(IDBKeyRange.lowerBound(from.getTime())));
+    }
+
+    async getMeta(name) {
+        const entry = await this.transaction(['meta'], 'readonly', (meta) => meta.get(name));
+        return entry ? entry.value : undefined;
+    }
+
+    setMeta(name, value) {
+        return this.transaction(['meta'], 'readwrite', (meta) => {
+            meta.put({ name, value });
+        });
+    }
+
+    deleteMeta(name) {
+        return this.transaction(['meta'], 'readwrite', (meta) => {
+            meta.delete(name);
+        });
+    }
+}
+
+class SheetsOutbox {
+    constructor(sendRequest, options = {}) {
+        this.storageKey = 'nextiva_sheets_outbox';
+        this.sendRequest = sendRequest; // (payload) => Promise<{ ok, retryable, status, error }>
+        this.onChange = options.onChange || (() => {});
+        this.onDelivered = options.onDelivered || (() => {});
+        this.baseDelay = options.baseDelay || 5000;
+        this.maxDelay = options.maxDelay || 10 * 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 8;
+        this.maxDeadLetters = options.maxDeadLetters || 200;
+
+        this.queue = [];
+        this.deadLetters = [];
+        // Ids of the entries as last read from or written to storage. Other tabs share the key, so an id
+        // seen before but now missing from storage was delivered or cleared elsewhere.
+        this.syncedIds = { queue: new Set(), deadLetters: new Set() };
+        this.flushTimer = null;
+        this.isFlushing = false;
+        // Only the tab that owns the outbox sends; the others just queue and show the counts
+        this.isRunning = false;
+        this.handleOnline = () => this.flush();
+        this.handleStorage = (event) => {
+            if (event.key !== this.storageKey) return;
+            this.load();
+            this.onChange(this.getStatus());
+            this.scheduleFlush(0);
+        };
+        window.addEventListener('storage', this.handleStorage);
+
+        this.load();
+    }
+
+    readStored() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('[NextivaCollector] Error loading outbox:', e);
+            return {};
+        }
+    }
+
+    // Keeps this tab's copy of entries both sides know, drops the ones another tab removed and adds
+    // the ones another tab queued, in the order they were created
+    mergeEntries(local, stored, syncedIds) {
+        const storedIds = new Set(stored.map(entry => entry.id));
+        const localIds = new Set(local.map(entry => entry.id));
+        const kept = local.filter(entry => storedIds.has(entry.id) || !syncedIds.has(entry.id));
+        const added = stored.filter(entry => !localIds.has(entry.id) && !syncedIds.has(entry.id));
+        return [...kept, ...added].sort((x, y) => x.createdAt - y.createdAt);
+    }
+
+    markSynced() {
+        this.syncedIds.queue = new Set(this.queue.map(entry => entry.id));
+        this.syncedIds.deadLetters = new Set(this.deadLetters.map(entry => entry.id));
+    }
+
+    load() {
+        const stored = this.readStored();
+        this.queue = this.mergeEntries(this.queue, stored.queue || [], this.syncedIds.queue);
+        this.deadLetters = this.mergeEntries(this.deadLetters, stored.deadLetters || [], this.syncedIds.deadLetters);
+        this.markSynced();
+    }
+
+    save() {
+        // Re-read first so entries queued or delivered by another tab aren't overwritten
+        this.load();
+        this.deadLetters = this.deadLetters.slice(-this.maxDeadLetters);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                queue: this.queue,
+                deadLetters: this.deadLetters
+            }));
+        } catch (e) {
+            console.error('[NextivaCollector] Error saving outbox:', e);
+        }
+        this.markSynced();
+        this.onChange(this.getStatus());
+    }
+
+    removeEntry(entry) {
+        this.queue = this.queue.filter(queued => queued !== entry);
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        // Another tab may have queued writes while this one wasn't sending
+        this.load();
+        window.addEventListener('online', this.handleOnline);
+        this.scheduleFlush(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        window.removeEventListener('online', this.handleOnline);
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    dispose() {
+        this.stop();
+        window.removeEventListener('storage', this.handleStorage);
+    }
+
+    enqueue(payload, context) {
+        this.queue.push({
+            id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            payload,
+            context,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            lastError: null
+        });
+        this.save();
+        this.scheduleFlush(0);
+    }
+
+    scheduleFlush(delay) {
+        if (!this.isRunning) return;
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, Math.max(0, delay));
+    }
+
+    getBackoffDelay(attempts) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts - 1));
+        // Add up to 20% jitter so several tabs don't retry in lockstep
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    // Entries are delivered strictly in order so an update never overtakes the insert it refers to
+    async flush() {
+        if (this.isFlushing || !this.isRunning) return;
+        this.isFlushing = true;
+
+        try {
+            while (this.isRunning && this.queue.length > 0) {
+                const entry = this.queue[0];
+                const waitMs = entry.nextAttemptAt - Date.now();
+                if (waitMs > 0) {
+                    this.scheduleFlush(waitMs);
+                    break;
+                }
+
+                entry.attempts++;
+                const result = await this.sendRequest(entry.payload);
+
+                // The queue may have been merged with another tab's copy while the request was out
+                if (result.ok) {
+                    this.removeEntry(entry);
+                    this.save();
+                    this.onDelivered(entry, result);
+                    continue;
+                }
+
+                entry.lastError = result.error || `HTTP ${result.status}`;
+
+                if (!result.retryable || entry.attempts >= this.maxAttempts) {
+                    this.removeEntry(entry);
+                    this.deadLetters.push({ ...entry, failedAt: Date.now() });
+                    console.warn(`[NextivaCollector] Outbox entry moved to dead letters after ${entry.attempts} attempt(s): ${entry.lastError}`, entry.payload);
+                    this.save();
+                    continue;
+                }
+
+                entry.nextAttemptAt = Date.now() + this.getBackoffDelay(entry.attempts);
+                this.save();
+                console.warn(`[NextivaCollector] Outbox send failed (${entry.lastError}), retry ${entry.attempts}/${this.maxAttempts} at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`);
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    retryDeadLetters() {
+        const count = this.deadLetters.length;
+        for (const entry of this.deadLetters) {
+            this.queue.push({
+                id: entry.id,
+                payload: entry.payload,
+                context: entry.context,
+                attempts: 0,
+                createdAt: entry.createdAt,
+                nextAttemptAt: Date.now(),
+                lastError: entry.lastError
+            });
+        }
+        this.deadLetters = [];
+        this.save();
+        this.scheduleFlush(0);
+        return count;
+    }
+
+    clearDeadLetters() {
+        this.deadLetters = [];
+        this.save();
+    }
+
+    getStatus() {
+        return {
+            pending: this.queue.length,
+            deadLetters: this.deadLetters.length,
+            nextAttemptAt: this.queue.length > 0 ? this.queue[0].nextAttemptAt : null
+        };
+    }
+}
+
+// Every Nextiva DOM selector in one place. Each field is a fallback chain tried in order, so when
+// Nextiva renames a data-testid only this table needs a new entry.
+class SelectorRegistry {
+    static get SELECTORS() {
+        return {
+            row: [
+                '[data-testid="CommunicationsUI-Compact-View-Message-queue-card"]',
+                '[data-testid$="Message-queue-card"]',
+                '[data-testid*="queue-card"]'
+            ],
+            sender: [
+                '[data-testid="CommunicationsUI-Compact-View-sender"]',
+                '[data-testid$="-sender"]'
+            ],
+            timestamp: [
+                '[data-testid="CommunicationsUI-Compact-View-timestamp"]',
+                '[data-testid$="-timestamp"]',
+                'time'
+            ],
+            callerInfo: [
+                '[data-testid="CommunicationsUI-Compact-View-callerInfo"]',
+                '[data-testid$="-callerInfo"]'
+            ],
+            listContainer: [
+                '.infinite-scroll-component',
+                '[role="grid"]',
+                '[role="list"]'
+            ],
+            scrollContainer: [
+                '.infinite-scroll-component',
+                '[role="grid"]',
+                '.MuiBox-root > div',
+                'main',
+                '#root > div > div'
+            ]
+        };
+    }
+
+    // Attribute on the virtualised list's row wrapper holding the row's position
+    static get INDEX_ATTRIBUTES() {
+        return ['data-index', 'data-item-index'];
+    }
+
+    constructor() {
+        this.matched = new Map(); // key: field, value: position in its chain of the selector that last matched
+        this.warnedFields = new Set(); // Fields whose fallback was already reported - rows can flip between selectors
+    }
+
+    chain(field) {
+        return SelectorRegistry.SELECTORS[field];
+    }
+
+    recordMatch(field, position) {
+        if (position > 0 && !this.warnedFields.has(field)) {
+            this.warnedFields.add(field);
+            console.warn(`[NextivaCollector] Primary selector for "${field}" found nothing - using fallback ${this.chain(field)[position]}`);
+        }
+        this.matched.set(field, position);
+    }
+
+    queryAll(field, root = document) {
+        const chain = this.chain(field);
+        for (let i = 0; i < chain.length; i++) {
+            const elements = root.querySelectorAll(chain[i]);
+            if (elements.length > 0) {
+                this.recordMatch(field, i);
+                return Array.from(elements);
+            }
+        }
+        return [];
+    }
+
+    query(field, root = document) {
+        const chain = this.chain(field);
+        for (let i = 0; i < chain.length; i++) {
+            const element = root.querySelector(chain[i]);
+            if (element) {
+                this.recordMatch(field, i);
+                return element;
+            }
+        }
+        return null;
+    }
+
+    getRowWrapper(row) {
+        for (const attribute of SelectorRegistry.INDEX_ATTRIBUTES) {
+            const element = row.closest(`[${attribute}]`);
+            if (element) return { element, attribute };
+        }
+        return null;
+    }
+
+    // The row's data-index as a string, or null outside the virtualised list
+    getRowIndex(row) {
+        const wrapper = this.getRowWrapper(row);
+        return wrapper ? wrapper.element.getAttribute(wrapper.attribute) : null;
+    }
+
+    // Fields currently only found through a fallback - worth a look before the fallbacks run out too
+    getFallbackFields() {
+        return Array.from(this.matched.entries())
+            .filter(([, position]) => position > 0)
+            .map(([field, position]) => `${field} (${this.chain(field)[position]})`);
+    }
+}
+
+class CallEventClassifier {
+    constructor(selectors = new SelectorRegistry()) {
+        this.selectors = selectors;
+        this.reportedLayouts = new Set(); // Unknown card signatures already logged
+    }
+
+    static get TYPES() {
+        return {
+            MISSED: 'missed',
+            MISSED_VOICEMAIL: 'missed_voicemail',
+            ANSWERED: 'answered',
+            OUTGOING: 'outgoing',
+            TRANSFERRED: 'transferred',
+            SMS: 'sms',
+            UNKNOWN: 'unknown'
+        };
+    }
+
+    // The wording that appears first in the description wins; on a tie the earlier rule wins, so more
+    // specific wordings must come before the generic ones they contain
+    static get RULES() {
+        const TYPES = CallEventClassifier.TYPES;
+        return [
+            // "Voicemail" / "New voicemail" on their own, but not "Voicemail greeting updated"
+            { type: TYPES.MISSED_VOICEMAIL, pattern: /Missed call[\s\S]*voicemail|Voicemail\s*(from|left|received)|^(New\s+)?voicemail\b(?!\s*[a-z])/i },
+            { type: TYPES.MISSED, pattern: /Missed call/i },
+            { type: TYPES.TRANSFERRED, pattern: /Incoming call[\s\S]*transferred|Call transferred|Transferred (to|from)/i },
+            { type: TYPES.ANSWERED, pattern: /Incoming call answered by/i },
+            { type: TYPES.OUTGOING, pattern: /Outgoing call/i },
+            { type: TYPES.SMS, pattern: /\b(SMS|MMS|Text message)\b/i }
+        ];
+    }
+
+    classifyText(text) {
+        let best = null;
+        for (const rule of CallEventClassifier.RULES) {
+            const match = rule.pattern.exec(text);
+            if (match && (!best || match.index < best.index)) {
+                best = { type: rule.type, index: match.index };
+            }
+        }
+        return best ? best.type : CallEventClassifier.TYPES.UNKNOWN;
+    }
+
+    classify(row) {
+        const TYPES = CallEventClassifier.TYPES;
+        const contactElement = this.selectors.query('sender', row);
+        const timestampElement = this.selectors.query('timestamp', row);
+
+        const text = row.textContent;
+        const contactText = contactElement ? contactElement.textContent.trim() : null;
+        const timestampText = timestampElement ? timestampElement.textContent.trim() : null;
+
+        // Description is whatever the card shows besides the sender and timestamp
+        let description = text;
+        if (contactText) description = description.replace(contactText, '');
+        if (timestampText) description = description.replace(timestampText, '');
+        description = description.replace(/\s+/g, ' ').trim();
+
+        // The sender can be any caller ID ("SMS Marketing", "Missed call Lounge"), so only the description is classified
+        const type = this.classifyText(description);
+        if (type === TYPES.UNKNOWN) {
+            this.reportUnknownLayout(row, description);
+        }
+
+        return {
+            type,
+            agent: type === TYPES.ANSWERED || type === TYPES.TRANSFERRED ? this.extractAgent(description) : null,
+            isMissed: type === TYPES.MISSED || type === TYPES.MISSED_VOICEMAIL,
+            // A transferred call was picked up before being passed on, so it counts as answered
+            isAnswered: type === TYPES.ANSWERED || type === TYPES.TRANSFERRED,
+            isOutgoing: type === TYPES.OUTGOING,
+            hasVoicemail: type === TYPES.MISSED_VOICEMAIL,
+            dataIndex: this.selectors.getRowIndex(row),
+            contactText,
+            timestampText,
+            description
+        };
+    }
+
+    // "Incoming call answered by Jane Doe · 2:31" -> "Jane Doe"; digits and commas inside a name
+    // ("Agent 2 Smith", "O'Brien, Pat") are kept, only the separator or a time/duration ends it
+    extractAgent(description) {
+        const match = description.match(/answered by\s+(.+?)(?=\s*(?:[·•]|,?\s*\d{1,2}:\d{2}|$))/i);
+        return match ? match[1].trim() : null;
+    }
+
+    reportUnknownLayout(row, description) {
+        // Mask digits so the same layout with different numbers and times is only reported once
+        const signature = description.replace(/\d/g, '#').slice(0, 120);
+        if (this.reportedLayouts.has(signature)) return;
+
+        this.reportedLayouts.add(signature);
+        if (this.reportedLayouts.size > 100) {
+            this.reportedLayouts.delete(this.reportedLayouts.values().next().value);
+        }
+
+        // Callers' numbers never reach the console, only the shape of the card
+        console.warn('[Nextiva Collector] Unrecognised card layout:', {
+            description: signature,
+            html: row.outerHTML.replace(/\d/g, '#').slice(0, 500)
+        });
+    }
+}
+
+class MissedCallNotifier {
+    constructor(settings) {
+        this.settings = settings;
+        this.lastNotified = new Map(); // key: phone number, value: ms timestamp of last notification
+        this.audioContext = null;
+    }
+
+    hasGMNotifications() {
+        return typeof GM_notification === 'function';
+    }
+
+    // Must be called from a user gesture (e.g. the settings Save button) for the browser prompt to show
+    async requestPermission() {
+        if (this.hasGMNotifications()) return 'granted';
+        if (!('Notification' in window)) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (e) {
+            console.error('[NextivaCollector] Error requesting notification permission:', e);
+            return 'denied';
+        }
+    }
+
+    isOnCooldown(phoneNumber) {
+        const cooldownMs = this.settings.get('notificationCooldownMinutes') * 60 * 1000;
+        const last = this.lastNotified.get(phoneNumber);
+        return last !== undefined && Date.now() - last < cooldownMs;
+    }
+
+    notifyMissedCall(phoneNumber, displayNumber, contactName, timestamp, customer = null) {
+        if (!this.settings.get('notificationsEnabled')) return false;
+        if (this.isOnCooldown(phoneNumber)) return false;
+
+        this.lastNotified.set(phoneNumber, Date.now());
+        this.pruneCooldowns();
+
+        const name = contactName || (customer && customer.name);
+        const title = name ? `Missed call: ${name}` : 'Missed call';
+        const timeZone = this.settings.get('businessTimeZone') || undefined;
+        let body = `${displayNumber} at ${timestamp.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', timeZone })}`;
+        if (customer) {
+            const details = [customer.accountId && `Account ${customer.accountId}`, ...customer.tags].filter(Boolean);
+            if (details.length > 0) body += `\n${details.join(' · ')}`;
+        }
+        return this.show(title, body, `nextiva-missed-${phoneNumber}`);
+    }
+
+    notifySummary(title, body) {
+        if (!this.settings.get('notificationsEnabled')) return false;
+        return this.show(title, body, 'nextiva-summary');
+    }
+
+    show(title, body, tag) {
+        const focusTab = () => {
+            window.focus();
+        };
+
+        try {
+            if (this.hasGMNotifications()) {
+                GM_notification({ title, text: body, tag, silent: true, onclick: focusTab });
+            } else if ('Notification' in window && Notification.permission === 'granted') {
+                const notification = new Notification(title, { body, tag, silent: true });
+                notification.onclick = () => {
+                    focusTab();
+                    notification.close();
+                };
+            } else {
+                return false;
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error showing notification:', e);
+            return false;
+        }
+
+        if (this.settings.get('notificationSound')) {
+            this.playSound();
+        }
+        return true;
+    }
+
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    }
+
+    // Browsers keep a context created without a user gesture suspended, so the settings Save click unlocks it
+    unlockAudio() {
+        try {
+            const context = this.getAudioContext();
+            if (context && context.state === 'suspended') {
+                context.resume().catch(e => console.warn('[NextivaCollector] Could not enable alert sound:', e));
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error enabling alert sound:', e);
+        }
+    }
+
+    // Two short beeps generated with Web Audio so no sound file has to be fetched
+    playSound() {
+        try {
+            const context = this.getAudioContext();
+            if (!context) return;
+
+            if (context.state === 'suspended') {
+                context.resume()
+                    .then(() => this.playBeeps(context))
+                    .catch(e => console.warn('[NextivaCollector] Alert sound blocked until the page is clicked:', e));
+                return;
+            }
+            this.playBeeps(context);
+        } catch (e) {
+            console.error('[NextivaCollector] Error playing alert sound:', e);
+        }
+    }
+
+    playBeeps(context) {
+        try {
+            for (const offset of [0, 0.25]) {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = 880;
+                gain.gain.setValueAtTime(0.2, context.currentTime + offset);
+                gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + offset + 0.2);
+                oscillator.connect(gain);
+                gain.connect(context.destination);
+                oscillator.start(context.currentTime + offset);
+                oscillator.stop(context.currentTime + offset + 0.2);
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error playing alert sound:', e);
+        }
+    }
+
+    pruneCooldowns() {
+        const cooldownMs = this.settings.get('notificationCooldownMinutes') * 60 * 1000;
+        for (const [phoneNumber, last] of this.lastNotified.entries()) {
+            if (Date.now() - last >= cooldownMs) {
+                this.lastNotified.delete(phoneNumber);
+            }
+        }
+    }
+}
+
+// Minimal .xlsx writer: one worksheet of inline strings and numbers in an uncompressed zip
+class XlsxWriter {
+    static crc32(bytes) {
+        if (!XlsxWriter.crcTable) {
+            XlsxWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                XlsxWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = XlsxWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters other than tab/newline are not allowed in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    static buildSheetXml(rows) {
+        const rowXml = rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${XlsxWriter.columnName(columnIndex)}${rowIndex + 1}`;
+                if (value === null || value === undefined || value === '') {
+                    return '';
+                }
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rowXml}</sheetData></worksheet>`;
+    }
+
+    static build(sheetName, rows) {
+        const files = {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${XlsxWriter.escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml': XlsxWriter.buildSheetXml(rows)
+        };
+
+        return XlsxWriter.zip(files);
+    }
+
+    // Store-only zip (no compression) - plenty for a few thousand rows
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const [name, content] of Object.entries(files)) {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = XlsxWriter.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+}
+
+class RecordExporter {
+    constructor(collector) {
+        this.collector = collector;
+        this.storageKey = 'nextiva_export_prefs';
+        this.prefs = {
+            format: 'csv',
+            grouped: true,
+            columns: RecordExporter.LEGACY_COLUMNS
+        };
+        this.loadPrefs();
+    }
+
+    // Columns of the original "DateTime, Contact, Calls in Hour" report and its later additions
+    static get LEGACY_COLUMNS() {
+        return ['dateTime', 'contact', 'callsInHour', 'calledBack', 'callbackDelayMinutes', 'inBusinessHours'];
+    }
+
+    // Every exportable field; value() receives a report row ({ record, callsInHour, ... }) and the collector
+    static get COLUMNS() {
+        const formatDate = (collector, date) => date ? collector.formatDateTimeForSheet(date) : '';
+        return [
+            { key: 'dateTime', label: 'DateTime', value: (row) => row.datetime },
+            { key: 'timestamp', label: 'Timestamp (ISO 8601)', value: (row, collector) => collector.formatDateTimeISO(row.record.timestamp) },
+            { key: 'contact', label: 'Contact', value: (row) => row.record.contact },
+            { key: 'contactName', label: 'Contact Name', value: (row) => row.record.contactName || '' },
+            { key: 'phoneNumber', label: 'Phone', value: (row, collector) => collector.extractPhoneNumber(row.record.contact) },
+            { key: 'callsInHour', label: 'Calls in Hour', value: (row) => row.callsInHour },
+            // Answered state is resolved from stored answers before exporting (resolveAnsweredRecords)
+            { key: 'actualMissedCall', label: 'Actual Missed', value: (row) => row.record.isAnswered ? 'No' : 'Yes' },
+            { key: 'answeredTime', label: 'Answered Time', value: (row, collector) => formatDate(collector, row.record.answeredTime) },
+            { key: 'answeredBy', label: 'Answered By', value: (row) => row.record.answeredBy || '' },
+            { key: 'calledBack', label: 'Called Back', value: (row) => row.calledBack ? 'Yes' : 'No' },
+            { key: 'callbackTime', label: 'Callback Time', value: (row, collector) => formatDate(collector, row.record.callbackTime) },
+            { key: 'callbackDelayMinutes', label: 'Callback Delay (min)', value: (row) => row.callbackDelayMinutes ?? '' },
+            { key: 'voicemail', label: 'Voicemail', value: (row) => row.record.hasVoicemail ? 'Yes' : 'No' },
+            { key: 'inBusinessHours', label: 'Business Hours', value: (row) => row.record.inBusinessHours ? 'Yes' : 'No' },
+            { key: 'dataIndex', label: 'Data Index', value: (row) => row.record.dataIndex ?? '' },
+            { key: 'source', label: 'Source', value: (row) => row.record.source || '' },
+            { key: 'customerName', label: 'Customer', value: (row, collector) => (collector.lookupCustomer(row.record.contact) || {}).name || '' },
+            { key: 'accountId', label: 'Account ID', value: (row, collector) => (collector.lookupCustomer(row.record.contact) || {}).accountId || '' },
+            { key: 'tags', label: 'Tags', value: (row, collector) => ((collector.lookupCustomer(row.record.contact) || {}).tags || []).join(', ') }
+        ];
+    }
+
+    loadPrefs() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                const parsed = JSON.parse(data);
+                const knownKeys = RecordExporter.COLUMNS.map(column => column.key);
+                this.prefs = {
+                    ...this.prefs,
+                    ...parsed,
+                    columns: (parsed.columns || this.prefs.columns).filter(key => knownKeys.includes(key))
+                };
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error loading export preferences:', e);
+        }
+    }
+
+    savePrefs() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.prefs));
+        } catch (e) {
+            console.error('[NextivaCollector] Error saving export preferences:', e);
+        }
+    }
+
+    // RFC 4180: quote fields containing separators, quotes or line breaks, doubling embedded quotes
+    static escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Names and tags come from caller ID and imported files; spreadsheets would run "=..." as a formula.
+        // Phone numbers ("+15551234567", "+44 20 7946 0958 ext. 12") start with "+" but must export as dialled.
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !RecordExporter.isPhoneNumber(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static isPhoneNumber(text) {
+        return /^\+[\d\s().-]+((;ext=|\s*(ext\.?|x)\s*)\d+)?$/i.test(text);
+    }
+
+    buildTable(rows, columnKeys) {
+        const columns = RecordExporter.COLUMNS.filter(column => columnKeys.includes(column.key));
+        return {
+            headers: columns.map(column => column.label),
+            values: rows.map(row => columns.map(column => column.value(row, this.collector))),
+            columns
+        };
+    }
+
+    toCSV(table) {
+        const lines = [table.headers, ...table.values].map(line => line.map(RecordExporter.escapeCSV).join(','));
+        // BOM so Excel opens UTF-8 names correctly; CRLF line breaks per RFC 4180
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    toJSON(table) {
+        const objects = table.values.map(values => {
+            const item = {};
+            table.columns.forEach((column, index) => {
+                item[column.key] = values[index];
+            });
+            return item;
+        });
+        return JSON.stringify(objects, null, 2);
+    }
+
+    toXLSX(table) {
+        return XlsxWriter.build('Missed Calls', [table.headers, ...table.values]);
+    }
+
+    export(rows, { format, columns }, baseName) {
+        const table = this.buildTable(rows, columns);
+        const formats = {
+            csv: () => ({ data: this.toCSV(table), type: 'text/csv;charset=utf-8', extension: 'csv' }),
+            json: () => ({ data: this.toJSON(table), type: 'application/json', extension: 'json' }),
+            xlsx: () => ({ data: this.toXLSX(table), type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' })
+        };
+        const { data, type, extension } = (formats[format] || formats.csv)();
+        this.collector.downloadBlob(new Blob([data], { type }), `${baseName}.${extension}`);
+        return table.values.length;
+    }
+}
+
+class MissedCallDashboard {
+    constructor(collector) {
+        this.collector = collector;
+        this.storageKey = 'nextiva_dashboard_state';
+        this.panel = null;
+        this.body = null;
+        this.refreshInterval = null;
+        this.state = { open: false, collapsed: false, sort: 'newest', status: 'all', search: '' };
+        this.loadState();
+    }
+
+    loadState() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                this.state = { ...this.state, ...JSON.parse(data) };
+            }
+        } catch (e) {
+            console.error('[NextivaCollector] Error loading dashboard state:', e);
+        }
+    }
+
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            console.error('[NextivaCollector] Error saving dashboard state:', e);
+        }
+    }
+
+    toggle() {
+        if (this.panel) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.panel) return;
+        this.state.open = true;
+        this.saveState();
+        this.build();
+        this.refresh();
+
+        // Keep "waiting" times ticking even when no new calls arrive
+        this.refreshInterval = setInterval(() => this.refresh(), 30000);
+    }
+
+    // persist=false tears the panel down without forgetting that it was open (page unload)
+    close(persist = true) {
+        if (persist) {
+            this.state.open = false;
+            this.saveState();
+        }
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+            this.body = null;
+        }
+    }
+
+    build() {
+        const panel = document.createElement('div');
+        panel.id = 'nextiva-dashboard';
+        // Docked on the left below the buttons - the status panel takes the top-right corner
+        panel.style.cssText = `
+            position: fixed;
+            top: 60px;
+            left: 10px;
+            width: 420px;
+            max-height: 70vh;
+            display: flex;
+            flex-direction: column;
+            background: white;
+            color: #2c3e50;
+            border-radius: 6px;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+            z-index: 9998;
+            font-family: sans-serif;
+            font-size: 12px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 8px 10px;
+            background: #2c3e50;
+            color: white;
+            border-radius: 6px 6px 0 0;
+            cursor: pointer;
+            font-weight: bold;
+        `;
+        const title = document.createElement('span');
+        title.className = 'nextiva-dashboard-title';
+        const closeButton = document.createElement('span');
+        closeButton.textContent = '✕';
+        closeButton.title = 'Close dashboard';
+        closeButton.onclick = (event) => {
+            event.stopPropagation();
+            this.close();
+        };
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        header.onclick = () => {
+            this.state.collapsed = !this.state.collapsed;
+            this.saveState();
+            content.style.display = this.state.collapsed ? 'none' : 'flex';
+        };
+
+        const content = document.createElement('div');
+        content.style.cssText = `
+            display: ${this.state.collapsed ? 'none' : 'flex'};
+            flex-direction: column;
+            min-height: 0;
+        `;
+
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display: flex; gap: 6px; padding: 6px 10px; border-bottom: 1px solid #eee;';
+
+        const search = document.createElement('input');
+        search.type = 'text';
+        search.placeholder = 'Search name or number';
+        search.value = this.state.search;
+        search.style.cssText = 'flex: 1; padding: 3px 6px; min-width: 0;';
+        search.oninput = () => {
+            this.state.search = search.value;
+            this.saveState();
+            this.refresh();
+        };
+
+        const makeSelect = (options, key) => {
+            const select = document.createElement('select');
+            select.style.cssText = 'padding: 3px;';
+            for (const [value, label] of options) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = this.state[key];
+            select.onchange = () => {
+                this.state[key] = select.value;
+                this.saveState();
+                this.refresh();
+            };
+            return select;
+        };
+
+        controls.appendChild(search);
+        controls.appendChild(makeSelect([
+            ['all', 'All'],
+            ['open', 'Needs callback'],
+            ['recovered', 'Recovered'],
+            ['calledBack', 'Called back'],
+            ['afterHours', 'After hours']
+        ], 'status'));
+        controls.appendChild(makeSelect([
+            ['newest', 'Newest'],
+            ['oldest', 'Oldest'],
+            ['waiting', 'Longest waiting'],
+            ['contact', 'Contact']
+        ], 'sort'));
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export';
+        exportButton.title = 'Download the collected missed calls as CSV, Excel or JSON';
+        exportButton.style.cssText = 'padding: 3px 6px; cursor: pointer;';
+        exportButton.onclick = () => this.collector.exportRecords();
+        controls.appendChild(exportButton);
+
+        const filteredButton = document.createElement('button');
+        filteredButton.textContent = 'Filtered';
+        filteredButton.title = 'Review calls dropped by the ignore list and spam filters';
+        filteredButton.style.cssText = 'padding: 3px 6px; cursor: pointer;';
+        filteredButton.onclick = () => this.collector.showFilteredReport();
+        controls.appendChild(filteredButton);
+
+        const snapshotButton = document.createElement('button');
+        snapshotButton.textContent = 'Snapshot';
+        snapshotButton.title = 'Save the message list and collector state to reproduce a misread row offline';
+        snapshotButton.style.cssText = 'padding: 3px 6px; cursor: pointer;';
+        snapshotButton.onclick = () => this.collector.captureSnapshot();
+        controls.appendChild(snapshotButton);
+
+        const body = document.createElement('div');
+        body.style.cssText = 'overflow-y: auto; min-height: 0;';
+
+        content.appendChild(controls);
+        content.appendChild(body);
+        panel.appendChild(header);
+        panel.appendChild(content);
+        document.body.appendChild(panel);
+
+        this.panel = panel;
+        this.body = body;
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m`;
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
+
+    // Flatten each record into what the table shows, so sorting and filtering work on the same values
+    getRows() {
+        const collector = this.collector;
+        const now = Date.now();
+
+        return collector.allRecords.map(record => {
+            const phoneNumber = collector.extractPhoneNumber(record.contact);
+            const recovered = record.isAnswered || collector.isActualMissedCall(phoneNumber, record.timestamp) === 'No';
+            const resolvedAt = record.callbackTime || record.answeredTime;
+            const isOpen = !recovered && !record.calledBack;
+
+            return {
+                record,
+                contactName: record.contactName || '',
+                number: record.contact,
+                recovered,
+                isOpen,
+                waitingMs: (isOpen ? now : (resolvedAt ? resolvedAt.getTime() : now)) - record.timestamp.getTime()
+            };
+        });
+    }
+
+    filterRows(rows) {
+        const search = this.state.search.trim().toLowerCase();
+        const searchDigits = search.replace(/\D/g, '');
+
+        return rows.filter(row => {
+            switch (this.state.status) {
+                case 'open': if (!row.isOpen) return false; break;
+                case 'recovered': if (!row.recovered) return false; break;
+                case 'calledBack': if (!row.record.calledBack) return false; break;
+                case 'afterHours': if (row.record.inBusinessHours) return false; break;
+            }
+            if (!search) return true;
+            return row.contactName.toLowerCase().includes(search) ||
+                row.number.toLowerCase().includes(search) ||
+                (searchDigits.length > 0 && row.number.replace(/\D/g, '').includes(searchDigits));
+        });
+    }
+
+    sortRows(rows) {
+        const comparators = {
+            newest: (a, b) => b.record.timestamp - a.record.timestamp,
+            oldest: (a, b) => a.record.timestamp - b.record.timestamp,
+            waiting: (a, b) => (b.isOpen - a.isOpen) || (b.waitingMs - a.waitingMs),
+            contact: (a, b) => (a.contactName || a.number).localeCompare(b.contactName || b.number)
+        };
+        return rows.sort(comparators[this.state.sort] || comparators.newest);
+    }
+
+    refresh() {
+        if (!this.panel) return;
+
+        const allRows = this.getRows();
+        const rows = this.sortRows(this.filterRows(allRows));
+        const openCount = allRows.filter(row => row.isOpen).length;
+
+        this.panel.querySelector('.nextiva-dashboard-title').textContent =
+            `Missed Calls - ${allRows.length} total, ${openCount} need callback`;
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse;';
+
+        const headerRow = table.insertRow();
+        for (const label of ['Time', 'Contact', 'Waiting', 'Missed', 'Callback']) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            th.style.cssText = 'text-align: left; padding: 4px 6px; position: sticky; top: 0; background: #f4f6f7;';
+            headerRow.appendChild(th);
+        }
+
+        for (const row of rows) {
+            const tr = table.insertRow();
+            tr.style.cssText = `border-top: 1px solid #eee; ${row.isOpen ? 'background: #fdecea;' : ''}`;
+
+            const addCell = (text, title = '') => {
+                const td = tr.insertCell();
+                td.textContent = text;
+                td.title = title;
+                td.style.cssText = 'padding: 4px 6px; vertical-align: top;';
+                return td;
+            };
+
+            const record = row.record;
+            addCell(this.collector.getClock().format(record.timestamp, { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+                record.inBusinessHours ? '' : 'After hours');
+
+            const contactCell = addCell(row.contactName || row.number);
+            if (row.contactName) {
+                const number = document.createElement('div');
+                number.textContent = row.number;
+                number.style.cssText = 'color: #7f8c8d; font-size: 11px;';
+                contactCell.appendChild(number);
+            }
+
+            addCell(row.isOpen ? this.formatDuration(row.waitingMs) : `(${this.formatDuration(row.waitingMs)})`,
+                row.isOpen ? 'Still waiting' : 'Time until answered or called back');
+            addCell(row.recovered ? 'No' : 'Yes',
+                record.answeredBy ? `Answered by ${record.answeredBy}` : '');
+            addCell(record.calledBack ? `Yes (+${record.callbackDelayMinutes}m)` : 'No',
+                record.callbackTime ? `Called back ${this.collector.getClock().format(record.callbackTime)}` : '');
+        }
+
+        if (rows.length === 0) {
+            const td = table.insertRow().insertCell();
+            td.colSpan = 5;
+            td.textContent = allRows.length === 0 ? 'No missed calls in this session yet' : 'No calls match the filter';
+            td.style.cssText = 'padding: 12px; text-align: center; color: #7f8c8d;';
+        }
+
+        this.body.replaceChildren(table);
+    }
+}
+
+// Aggregate views over the stored history: when calls are missed, who keeps calling, how many are recovered
+class MissedCallAnalytics {
+    constructor(collector) {
+        this.collector = collector;
+        this.days = 30;
+        this.overlay = null;
+    }
+
+    static get DAY_NAMES() {
+        return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    }
+
+    isRecovered(record, answersByNumber) {
+        return record.isAnswered ||
+            Boolean(this.collector.findAnswerNear(answersByNumber, this.collector.extractPhoneNumber(record.contact), record.timestamp));
+    }
+
+    // Daily buckets for a month or less, weekly (starting Monday) beyond that
+    getPeriodStart(date, weekly) {
+        const clock = this.collector.getClock();
+        const today = clock.getParts(date);
+        return clock.toDate(clock.addDays(today, weekly ? -((today.weekday + 6) % 7) : 0));
+    }
+
+    summarize(records, answers, weekly = false) {
+        const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        const periods = new Map();
+        const callers = new Map();
+        let recovered = 0;
+
+        const getPeriod = (date) => {
+            const start = this.getPeriodStart(date, weekly);
+            const key = start.getTime();
+            if (!periods.has(key)) {
+                periods.set(key, { start, missed: 0, answered: 0 });
+            }
+            return periods.get(key);
+        };
+
+        const clock = this.collector.getClock();
+        const answersByNumber = this.collector.groupAnswersByNumber(answers);
+        for (const record of records) {
+            const { weekday, hour } = clock.getParts(record.timestamp);
+            heatmap[weekday][hour]++;
+            getPeriod(record.timestamp).missed++;
+
+            const isRecovered = this.isRecovered(record, answersByNumber);
+            if (isRecovered) recovered++;
+
+            const phoneNumber = this.collector.extractPhoneNumber(record.contact);
+            if (!callers.has(phoneNumber)) {
+                callers.set(phoneNumber, { contact: record.contact, contactName: record.contactName, missed: 0, recovered: 0, last: record.timestamp });
+            }
+            const caller = callers.get(phoneNumber);
+            caller.missed++;
+            if (isRecovered) caller.recovered++;
+            if (record.timestamp > caller.last) caller.last = record.timestamp;
+            caller.contactName = caller.contactName || record.contactName;
+        }
+
+        for (const answer of answers) {
+            getPeriod(answer.timestamp).answered++;
+        }
+
+        return {
+            total: records.length,
+            recovered,
+            recoveredShare: records.length > 0 ? recovered / records.length : 0,
+            heatmap,
+            heatmapMax: Math.max(0, ...heatmap.flat()),
+            periods: Array.from(periods.values()).sort((a, b) => a.start - b.start),
+            topCallers: Array.from(callers.values())
+                .filter(caller => caller.missed > 1)
+                .sort((a, b) => (b.missed - a.missed) || (b.last - a.last))
+                .slice(0, 10)
+        };
+    }
+
+    async open() {
+        if (!this.overlay) {
+            this.build();
+        }
+        this.content.textContent = 'Loading call history...';
+
+        try {
+            const from = this.days > 0 ? new Date(Date.now() - this.days * 24 * 60 * 60 * 1000) : new Date(0);
+            const { records, answers } = await this.collector.getHistorySince(from);
+            if (!this.overlay) return;
+            this.render(this.summarize(records, answers, this.days === 0 || this.days > 31));
+        } catch (error) {
+            this.collector.performanceMonitor.logError(error, 'MissedCallAnalytics.open');
+            this.content.textContent = `Could not load call history: ${error.message}`;
+        }
+    }
+
+    close() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    build() {
+        const overlay = document.createElement('div');
+        overlay.id = 'nextiva-analytics';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: sans-serif;
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: white;
+            color: #2c3e50;
+            padding: 16px 20px;
+            border-radius: 6px;
+            width: 760px;
+            max-width: 95vw;
+            max-height: 90vh;
+            overflow-y: auto;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+            font-size: 12px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;';
+
+        const title = document.createElement('div');
+        title.textContent = 'Missed Call Analytics';
+        title.style.cssText = 'font-size: 16px; font-weight: bold;';
+
+        const rangeSelect = document.createElement('select');
+        for (const [value, label] of [[7, 'Last 7 days'], [30, 'Last 30 days'], [90, 'Last 90 days'], [365, 'Last year'], [0, 'All history']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            rangeSelect.appendChild(option);
+        }
+        rangeSelect.value = this.days;
+        rangeSelect.onchange = () => {
+            this.days = parseInt(rangeSelect.value);
+            this.open();
+        };
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.style.cssText = 'margin-left: 8px; padding: 3px 8px; cursor: pointer;';
+        closeButton.onclick = () => this.close();
+
+        const headerControls = document.createElement('div');
+        headerControls.appendChild(rangeSelect);
+        headerControls.appendChild(closeButton);
+        header.appendChild(title);
+        header.appendChild(headerControls);
+
+        const content = document.createElement('div');
+
+        dialog.appendChild(header);
+        dialog.appendChild(content);
+        overlay.appendChild(dialog);
+        overlay.onclick = (event) => {
+            if (event.target === overlay) this.close();
+        };
+        document.body.appendChild(overlay);
+
+        this.overlay = overlay;
+        this.content = content;
+    }
+
+    addSection(text) {
+        const heading = document.createElement('div');
+        heading.textContent = text;
+        heading.style.cssText = 'font-weight: bold; font-size: 13px; margin: 14px 0 6px;';
+        this.content.appendChild(heading);
+    }
+
+    makeTable(headers) {
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse: collapse; width: 100%;';
+        const headerRow = table.insertRow();
+        for (const label of headers) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            th.style.cssText = 'text-align: left; padding: 3px 6px; background: #f4f6f7; font-weight: normal; color: #7f8c8d;';
+            headerRow.appendChild(th);
+        }
+        this.content.appendChild(table);
+        return table;
+    }
+
+    render(summary) {
+        this.content.textContent = '';
+
+        const overview = document.createElement('div');
+        overview.style.cssText = 'font-size: 13px;';
+        overview.textContent = summary.total === 0 ?
+            'No missed calls stored for this period.' :
+            `${summary.total} missed calls, ${summary.recovered} recovered by a later answer (${Math.round(summary.recoveredShare * 100)}%)`;
+        this.content.appendChild(overview);
+        if (summary.total === 0) return;
+
+        this.renderHeatmap(summary);
+        this.renderPeriods(summary);
+        this.renderTopCallers(summary);
+    }
+
+    renderHeatmap(summary) {
+        this.addSection('Missed calls by day and hour');
+
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse: collapse; font-size: 10px;';
+        const headerRow = table.insertRow();
+        headerRow.insertCell();
+        for (let hour = 0; hour < 24; hour++) {
+            const cell = headerRow.insertCell();
+            cell.textContent = hour;
+            cell.style.cssText = 'text-align: center; color: #7f8c8d; width: 24px;';
+        }
+
+        // Monday first, matching the business hours schedule
+        for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+            const row = table.insertRow();
+            const label = row.insertCell();
+            label.textContent = MissedCallAnalytics.DAY_NAMES[day];
+            label.style.cssText = 'padding-right: 6px; color: #7f8c8d;';
+
+            for (let hour = 0; hour < 24; hour++) {
+                const count = summary.heatmap[day][hour];
+                const intensity = summary.heatmapMax > 0 ? count / summary.heatmapMax : 0;
+                const cell = row.insertCell();
+                cell.textContent = count || '';
+                cell.title = `${MissedCallAnalytics.DAY_NAMES[day]} ${hour}:00-${hour + 1}:00 - ${count} missed`;
+                cell.style.cssText = `
+                    text-align: center;
+                    height: 20px;
+                    border: 1px solid #fff;
+                    background: ${count > 0 ? `rgba(231, 76, 60, ${(0.15 + intensity * 0.85).toFixed(2)})` : '#f4f6f7'};
+                    color: ${intensity > 0.5 ? 'white' : '#2c3e50'};
+                `;
+            }
+        }
+        this.content.appendChild(table);
+    }
+
+    renderPeriods(summary) {
+        this.addSection('Missed vs answered');
+
+        const table = this.makeTable(['Period', '', 'Missed', 'Answered', 'Missed %']);
+        const maxTotal = Math.max(1, ...summary.periods.map(period => period.missed + period.answered));
+
+        for (const period of summary.periods) {
+            const total = period.missed + period.answered;
+            const row = table.insertRow();
+            row.insertCell().textContent = this.collector.getClock().format(period.start, { year: 'numeric', month: 'numeric', day: 'numeric' });
+
+            const barCell = row.insertCell();
+            barCell.style.cssText = 'width: 45%;';
+            const bar = document.createElement('div');
+            bar.style.cssText = `display: flex; height: 10px; width: ${Math.round((total / maxTotal) * 100)}%;`;
+            const missedBar = document.createElement('div');
+            missedBar.style.cssText = `flex: ${period.missed}; background: #e74c3c;`;
+            const answeredBar = document.createElement('div');
+            answeredBar.style.cssText = `flex: ${period.answered}; background: #27ae60;`;
+            bar.appendChild(missedBar);
+            bar.appendChild(answeredBar);
+            barCell.appendChild(bar);
+
+            row.insertCell().textContent = period.missed;
+            row.insertCell().textContent = period.answered;
+            row.insertCell().textContent = total > 0 ? `${Math.round((period.missed / total) * 100)}%` : '';
+            for (const cell of row.cells) {
+                cell.style.padding = '2px 6px';
+            }
+        }
+    }
+
+    renderTopCallers(summary) {
+        this.addSection('Top repeat callers');
+
+        if (summary.topCallers.length === 0) {
+            const none = document.createElement('div');
+            none.textContent = 'No number missed more than once in this period.';
+            this.content.appendChild(none);
+            return;
+        }
+
+        const table = this.makeTable(['Contact', 'Missed', 'Recovered', 'Last missed']);
+        for (const caller of summary.topCallers) {
+            const row = table.insertRow();
+            row.insertCell().textContent = caller.contactName ? `${caller.contactName} ${caller.contact}` : caller.contact;
+            row.insertCell().textContent = caller.missed;
+            row.insertCell().textContent = caller.recovered;
+            row.insertCell().textContent = this.collector.getClock().format(caller.last);
+            for (const cell of row.cells) {
+                cell.style.cssText = 'padding: 3px 6px; border-top: 1px solid #eee;';
+            }
+        }
+    }
+}
+
+// Saved copies of the message list plus collector state, so a misread row can be reproduced offline.
+// tools/replay-snapshot.js replays them under jsdom in Node.
+class DomSnapshot {
+    static get VERSION() {
+        return 1;
+    }
+
+    static get REMOVED_ELEMENTS() {
+        return 'script, style, link, iframe, object, embed, noscript, template';
+    }
+
+    // Consistent fake numbers: the last seven digits of each number become 555NNNN, the rest is kept so
+    // "(555)123-4567" and "+15551234567" still match each other after masking
+    static createNumberMask() {
+        const mapping = new Map();
+        return (text) => String(text ?? '').replace(/\+?\d[\d\s().-]{5,}\d/g, (match) => {
+            const digits = match.replace(/\D/g, '');
+            if (digits.length < 7 || digits.length > 15) return match;
+
+            const line = digits.slice(-7);
+            if (!mapping.has(line)) {
+                mapping.set(line, `555${(mapping.size + 1).toString().padStart(4, '0')}`);
+            }
+            const masked = digits.slice(0, -7) + mapping.get(line);
+            let position = 0;
+            return match.replace(/\d/g, () => masked[position++]);
+        });
+    }
+
+    // Phone-keyed strings look like "<number>_<timestamp>[_<type>]"; only the number part is masked
+    static maskKey(key, mask) {
+        const [first, ...rest] = String(key).split('_');
+        return [mask(first), ...rest].join('_');
+    }
+
+    static sanitiseElement(root, collector, mask) {
+        root.querySelectorAll(DomSnapshot.REMOVED_ELEMENTS).forEach(element => element.remove());
+
+        for (const element of [root, ...root.querySelectorAll('*')]) {
+            for (const { name, value } of Array.from(element.attributes)) {
+                if (/^on/i.test(name) || name === 'style' || name === 'src' || name === 'srcset' || /javascript:/i.test(value)) {
+                    element.removeAttribute(name);
+                } else if (name === 'href' || name === 'xlink:href') {
+                    element.setAttribute(name, '#');
+                } else if (mask && (name === 'title' || name === 'aria-label' || name === 'value')) {
+                    element.setAttribute(name, mask(value));
+                }
+            }
+        }
+
+        if (!mask) return;
+
+        // Timestamps are left alone - dates can look like phone numbers to the mask
+        const timestamps = new Set(collector.selectors.queryAll('timestamp', root));
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            let parent = node.parentElement;
+            while (parent && !timestamps.has(parent) && parent !== root) {
+                parent = parent.parentElement;
+            }
+            if (!parent || !timestamps.has(parent)) {
+                node.textContent = mask(node.textContent);
+            }
+        }
+    }
+
+    static maskState(state, mask) {
+        return {
+            ...state,
+            processedAnswers: (state.processedAnswers || []).map(key => DomSnapshot.maskKey(key, mask)),
+            records: (state.records || []).map(record => ({
+                ...record,
+                contact: mask(record.contact),
+                contactName: record.contactName ? mask(record.contactName) : record.contactName
+            })),
+            sentRecords: (state.sentRecords || []).map(([key, info]) => [
+                DomSnapshot.maskKey(key, mask),
+                { ...info, number: mask(info.number) }
+            ]),
+            realTimeFingerprints: (state.realTimeFingerprints || []).map(key => DomSnapshot.maskKey(key, mask)),
+            recentCalls: (state.recentCalls || []).map(([phoneNumber, calls]) => [mask(phoneNumber), calls])
+        };
+    }
+
+    static capture(collector, { maskNumbers = true } = {}) {
+        const source = collector.findListContainer() || collector.selectors.query('scrollContainer') || document.body;
+        const copy = source.cloneNode(true);
+        const mask = maskNumbers ? DomSnapshot.createNumberMask() : null;
+        DomSnapshot.sanitiseElement(copy, collector, mask);
+
+        const settings = { ...collector.settings.values };
+        // Endpoints identify the account's sheet and never matter for a replay
+        delete settings.googleSheetUrl;
+        delete settings.googleScriptUrl;
+        if (mask) settings.ignoreList = mask(settings.ignoreList);
+
+        const state = collector.getMirrorState();
+        return {
+            version: DomSnapshot.VERSION,
+            capturedAt: new Date().toISOString(),
+            timeZone: collector.getClock().timeZone,
+            path: location.pathname,
+            maskedNumbers: Boolean(mask),
+            mode: collector.isCollecting ? 'collect' : 'realtime',
+            settings,
+            state: mask ? DomSnapshot.maskState(state, mask) : state,
+            html: copy.outerHTML
+        };
+    }
+
+    // What the collector made of each row - the part worth comparing between runs
+    static describeRows(collector) {
+        const rows = collector.selectors.queryAll('row');
+        const timestamps = collector.parseTimestampColumn(rows.map(row => {
+            const element = collector.selectors.query('timestamp', row);
+            return element ? element.textContent : '';
+        }));
+
+        return rows.map((row, i) => {
+            const classified = collector.classifier.classify(row);
+            return {
+                dataIndex: classified.dataIndex,
+                type: classified.type,
+                contact: classified.contactText,
+                agent: classified.agent || null,
+                timestampText: classified.timestampText,
+                timestamp: timestamps[i] ? collector.formatDateTimeISO(timestamps[i]) : null
+            };
+        });
+    }
+
+    // Loads a snapshot into the current document and runs the collector over it. Only meant for a
+    // throwaway DOM such as jsdom - it replaces the page body.
+    static async replay(collector, snapshot, mode = snapshot.mode || 'realtime') {
+        if (snapshot.version !== DomSnapshot.VERSION) {
+            throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+        }
+
+        document.body.innerHTML = snapshot.html;
+        collector.settings.values = {
+            ...CollectorSettings.defaults,
+            ...snapshot.settings,
+            // Times are read in the zone the page was captured in, not the zone of the machine replaying it
+            businessTimeZone: (snapshot.settings && snapshot.settings.businessTimeZone) || snapshot.timeZone || ''
+        };
+
+        if (mode === 'collect') {
+            collector.allRecords = [];
+            collector.processedIndexes.clear();
+            collector.outgoingCalls = [];
+            collector.collectedAnswers = [];
+            collector.isCollecting = true;
+            try {
+                await collector.collectRecords();
+                collector.resolveCollectedCallbacks();
+                await collector.resolveAnsweredRecords();
+            } finally {
+                collector.isCollecting = false;
+            }
+        } else {
+            collector.restoreState(snapshot.state || {});
+            collector.isRealTimeMode = true;
+            try {
+                await collector.checkForNewCalls('replay');
+            } finally {
+                collector.isRealTimeMode = false;
+            }
+        }
+
+        return {
+            mode,
+            rows: DomSnapshot.describeRows(collector),
+            records: collector.allRecords
+                .map(record => ({
+                    ...record.toStorage(),
+                    timestamp: collector.formatDateTimeISO(record.timestamp),
+                    answeredTime: collector.formatDateTimeISO(record.answeredTime),
+                    callbackTime: collector.formatDateTimeISO(record.callbackTime)
+                }))
+                .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1)),
+            payloads: collector.outbox.queue.map(entry => entry.payload),
+            timestampIssues: collector.getTimestampParser().getIssues().map(({ text, reason }) => ({ text, reason }))
+        };
+    }
+}
+
+class NextivaCollector {
+    constructor() {
+        this.debug = true;
+        this.isCollecting = false;
+        this.isRealTimeMode = false;
+        this.allRecords = [];
+        this.processedIndexes = new Set();
+        this.maxProcessedIndex = -1;
+        this.lastKnownRowCount = 0;
+        this.realTimeObserver = null;
+        this.listMountObserver = null;
+        this.mountAnchor = null;
+        this.observedList = null;
+        this.realTimeInterval = null;
+        this.checkDebounceTimer = null;
+        this.checkDebounceMs = 250;
+        this.checkMaxWaitMs = 1000;
+        this.checkDeadline = null;
+        this.checkInFlight = null;
+        this.checkQueued = false;
+
+        // Real-time monitoring counters - only count new calls since monitoring started
+        this.realTimeMissedCount = 0;
+        this.realTimeAfterHoursCount = 0; // After-hours calls left out of the counter (when enabled)
+        this.monitorStartTime = null;
+
+        // Persisted configuration (Sheets endpoints, answer window, polling and retention)
+        this.settings = new CollectorSettings();
+        this.settings.load();
+
+        // Enhanced call tracking for answered calls
+        this.recentCalls = new Map(); // key: phone number, value: array of call objects
+        this.sentRecords = new Map(); // Track sent records by phone+timestamp for updates
+        this.processedAnswers = new Set(); // Track processed answer events to prevent duplicates
+        this.realTimeFingerprints = new Set(); // Rows already handled by checkForNewCalls (contact + timestamp + type)
+        this.outgoingCalls = []; // Outgoing calls seen during bulk collection, used to resolve callbacks
+        this.collectedAnswers = []; // Answered calls seen during bulk collection, used to resolve answered missed calls
+        this.resumeFrom = null; // Oldest timestamp of a resumed bulk collection checkpoint
+        this.agentStats = new Map(); // key: agent name, value: { answered, recovered } for this monitoring session
+
+        // Full missed-call history, kept across sessions in IndexedDB
+        this.historyStore = new CallHistoryStore();
+
+        // Durable outbox for Google Sheets writes - survives reloads and retries with backoff
+        this.outbox = new SheetsOutbox(payload => this.postToGoogleSheets(payload), {
+            onChange: () => this.updateOutboxCounter(),
+            onDelivered: (entry, result) => this.handleSheetsDelivery(entry, result)
+        });
+
+        // Every open tab queues Sheets writes, but only the tab that wins this election sends them
+        this.outboxCoordinator = new TabCoordinator({
+            channelName: 'nextiva_collector_outbox',
+            onBecomeLeader: () => this.outbox.start(),
+            onBecomeFollower: () => this.outbox.stop()
+        });
+
+        // Only one monitoring tab polls; the others mirror it and take over if it closes
+        this.tabCoordinator = new TabCoordinator({
+            onBecomeLeader: () => this.handleBecomeLeader(),
+            onBecomeFollower: () => this.handleBecomeFollower(),
+            onState: state => this.applyMirroredState(state),
+            onStateRequested: () => this.broadcastState()
+        });
+        this.pendingBackfillFrom = null;
+
+        // Typed classification of message-list cards
+        // Nextiva DOM selectors with fallbacks, and a periodic check that they still find the call list
+        this.selectors = new SelectorRegistry();
+        this.classifier = new CallEventClassifier(this.selectors);
+        this.domHealth = { problems: [], failures: 0, reported: false, dismissed: '' };
+        this.domHealthInterval = null;
+
+        // Opt-in desktop notifications for new missed calls
+        this.notifier = new MissedCallNotifier(this.settings);
+
+        // In-page list of this session's missed calls
+        this.dashboard = new MissedCallDashboard(this);
+        this.exporter = new RecordExporter(this);
+        this.addressBook = new AddressBook();
+        this.callFilter = new CallFilter(this.settings, this.getPhoneNormalizer());
+        this.analytics = new MissedCallAnalytics(this);
+
+        // Performance monitoring
+        this.performanceMonitor = new PerformanceMonitor();
+        this.cleanupInterval = null;
+
+        this.loadState();
+        this.initPerformanceOptimizations();
+        this.outboxCoordinator.start();
+    }
+
+    initPerformanceOptimizations() {
+        // Start performance monitoring
+        this.performanceMonitor.start();
+
+        // Regular cleanup every 5 minutes
+        this.cleanupInterval = setInterval(() => {
+            this.performanceCleanup();
+        }, 5 * 60 * 1000);
+
+        this.domHealthInterval = setInterval(() => {
+            this.checkDomHealth();
+        }, 20 * 1000);
+
+        // Bind performance cleanup to window for external access
+        window.nextiva_performance_cleanup = () => this.performanceCleanup();
+        window.nextiva_outbox = this.outbox;
+        window.nextiva_history = this.historyStore;
+        window.nextiva_capture_snapshot = () => this.captureSnapshot();
+    }
+
+    performanceCleanup() {
+        const before = this.getMemoryUsage();
+        this.log('Performing performance cleanup...');
+
+        try {
+            // Clear old recent calls (older than the configured retention)
+            const recentCutoff = new Date(Date.now() - this.settings.get('recentCallsHours') * 60 * 60 * 1000);
+            for (const [phoneNumber, calls] of this.recentCalls.entries()) {
+                const recentCalls = calls.filter(call => call.time > recentCutoff);
+                if (recentCalls.length === 0) {
+                    this.recentCalls.delete(phoneNumber);
+                } else {
+                    this.recentCalls.set(phoneNumber, recentCalls.slice(-5)); // Keep max 5 per number
+                }
+            }
+
+            // Keep only recent processed indexes
+            const maxProcessedIndexes = this.settings.get('maxProcessedIndexes');
+            if (this.processedIndexes.size > maxProcessedIndexes) {
+                const sortedIndexes = Array.from(this.processedIndexes).map(Number).sort((a, b) => b - a);
+                this.processedIndexes = new Set(sortedIndexes.slice(0, maxProcessedIndexes).map(String));
+            }
+
+            // Keep only recent records in real-time mode
+            const maxRealTimeRecords = this.settings.get('maxRealTimeRecords');
+            if (this.isRealTimeMode && this.allRecords.length > maxRealTimeRecords) {
+                this.allRecords = this.allRecords.slice(-maxRealTimeRecords);
+            }
+
+            // Clear old processed answers
+            const answersCutoff = new Date(Date.now() - this.settings.get('processedAnswersHours') * 60 * 60 * 1000);
+            if (this.processedAnswers) {
+                const validAnswers = new Set();
+                for (const answerKey of this.processedAnswers) {
+                    const parts = answerKey.split('_');
+                    if (parts.length >= 2) {
+                        const timestamp = parseInt(parts[parts.length - 1]);
+                        if (!isNaN(timestamp) && new Date(timestamp) > answersCutoff) {
+                            validAnswers.add(answerKey);
+                        }
+                    }
+                }
+                this.processedAnswers = validAnswers;
+            }
+
+            // Keep only the most recent real-time row fingerprints (Set keeps insertion order)
+            if (this.realTimeFingerprints.size > maxProcessedIndexes) {
+                this.realTimeFingerprints = new Set(Array.from(this.realTimeFingerprints).slice(-maxProcessedIndexes));
+            }
+
+            this.saveState();
+            const after = this.getMemoryUsage();
+            this.log(`Performance cleanup completed. Memory: ${before}MB -> ${after}MB`);
+
+        } catch (error) {
+            this.performanceMonitor.logError(error, 'performanceCleanup');
+        }
+    }
+
+    getMemoryUsage() {
+        return performance.memory ? Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) : 0;
+    }
+
+    log(message, data = null) {
+        if (this.debug) {
+            console.log(`[Nextiva Collector] ${message}`, data || '');
+        }
+    }
+
+    getSessionState() {
+        return {
+            processedIndexes: Array.from(this.processedIndexes).slice(-300), // Keep only last 300
+            realTimeMissedCount: this.realTimeMissedCount,
+            realTimeAfterHoursCount: this.realTimeAfterHoursCount,
+            monitorStartTime: this.monitorStartTime ? this.monitorStartTime.getTime() : null,
+            processedAnswers: Array.from(this.processedAnswers || []).slice(-50), // Keep only last 50
+            agentStats: Array.from(this.agentStats.entries())
+        };
+    }
+
+    applySessionState(session) {
+        this.processedIndexes = new Set(session.processedIndexes || []);
+        this.realTimeMissedCount = session.realTimeMissedCount || 0;
+        this.realTimeAfterHoursCount = session.realTimeAfterHoursCount || 0;
+        this.monitorStartTime = session.monitorStartTime ? new Date(session.monitorStartTime) : null;
+        this.processedAnswers = new Set(session.processedAnswers || []);
+        this.agentStats = new Map(session.agentStats || []);
+    }
+
+    toHistoryEntry(record) {
+        return {
+            ...record.toStorage(),
+            key: this.getRecordKey(record),
+            phoneNumber: this.extractPhoneNumber(record.contact)
+        };
+    }
+
+    toSentEntry(key, info) {
+        // Keys end in the missed call's timestamp, see getRecordKey()
+        return { ...info, key, timestamp: Number(key.split('_').pop()) };
+    }
+
+    storeHistory(records) {
+        if (!this.historyStore.isAvailable()) return Promise.resolve();
+        return this.historyStore.putRecords(records.map(record => this.toHistoryEntry(record)))
+            .catch(error => this.performanceMonitor.logError(error, 'storeHistory'));
+    }
+
+    storeAnsweredCalls(calls) {
+        if (!this.historyStore.isAvailable() || calls.length === 0) return Promise.resolve();
+        return this.historyStore.putAnswers(calls.map(({ phoneNumber, timestamp, agent }) => ({
+            key: `${phoneNumber}_${timestamp.getTime()}`,
+            phoneNumber,
+            timestamp: timestamp.getTime(),
+            agent: agent || null
+        }))).catch(error => this.performanceMonitor.logError(error, 'storeAnsweredCalls'));
+    }
+
+    // Missed records and answered calls since `from`, from IndexedDB plus anything still only in memory
+    async getHistorySince(from) {
+        const to = new Date();
+        const records = new Map();
+        let answers = [];
+
+        if (this.historyStore.isAvailable()) {
+            try {
+                for (const entry of await this.historyStore.getRecordsBetween(from, to)) {
+                    records.set(entry.key, CallRecord.fromStorage(entry));
+                }
+                answers = (await this.historyStore.getAnswersBetween(from, to))
+                    .map(entry => ({ phoneNumber: entry.phoneNumber, timestamp: new Date(entry.timestamp), agent: entry.agent }));
+            } catch (error) {
+                this.performanceMonitor.logError(error, 'getHistorySince');
+            }
+        }
+
+        for (const record of this.allRecords) {
+            if (record.timestamp >= from) {
+                records.set(this.getRecordKey(record), record);
+            }
+        }
+
+        return { records: Array.from(records.values()), answers };
+    }
+
+    saveState() {
+        // The leading tab owns the stored session; followers only hold a mirror of it
+        if (this.tabCoordinator.isFollower()) return;
+
+        if (!this.historyStore.isAvailable()) {
+            this.saveLegacyState();
+            return;
+        }
+
+        Promise.all([
+            this.historyStore.setMeta('session', this.getSessionState()),
+            this.historyStore.putRecords(this.allRecords.map(record => this.toHistoryEntry(record))),
+            this.historyStore.putSent(Array.from(this.sentRecords.entries()).map(([key, info]) => this.toSentEntry(key, info)))
+        ]).catch(error => this.performanceMonitor.logError(error, 'saveState'));
+    }
+
+    // Browsers without IndexedDB keep the old capped localStorage snapshot
+    saveLegacyState() {
+        try {
+            const data = {
+                ...this.getSessionState(),
+                records: this.allRecords.slice(-100).map(record => record.toStorage()), // Keep only last 100
+                sentRecords: Array.from(this.sentRecords.entries()).slice(-50) // Keep only last 50
+            };
+            localStorage.setItem('nextiva_missed_calls', JSON.stringify(data));
+        } catch (e) {
+            this.log('Error saving to localStorage:', e);
+            // If save fails, clear some data and try again
+            this.performanceCleanup();
+        }
+    }
+
+    async loadState() {
+        if (!this.historyStore.isAvailable()) {
+            this.loadLegacyState();
+            return;
+        }
+
+        try {
+            await this.migrateLegacyState();
+
+            const session = await this.historyStore.getMeta('session');
+            if (!session) return;
+
+            const records = session.monitorStartTime ?
+                await this.historyStore.getRecordsBetween(new Date(session.monitorStartTime), new Date()) : [];
+            const sentCutoff = new Date(Date.now() - this.settings.get('processedAnswersHours') * 60 * 60 * 1000);
+            const sent = await this.historyStore.getSentSince(sentCutoff);
+
+            // The user may have started something while the database was opening
+            if (this.isRealTimeMode || this.isCollecting) return;
+
+            this.applySessionState(session);
+            // Only the current monitoring session is held in memory; older history stays in the store
+            this.allRecords = records.map(record => CallRecord.fromStorage(record));
+            this.sentRecords = new Map(sent.map(({ key, timestamp, ...info }) => [key, info]));
+            this.log(`Loaded ${this.allRecords.length} records from IndexedDB`);
+            this.dashboard.refresh();
+        } catch (e) {
+            this.performanceMonitor.logError(e, 'loadState');
+            this.loadLegacyState();
+        }
+    }
+
+    loadLegacyState() {
+        try {
+            const data = localStorage.getItem('nextiva_missed_calls');
+            if (data) {
+                const parsed = this.migrateLegacySnapshot(JSON.parse(data));
+                this.applySessionState(parsed);
+                this.allRecords = (parsed.records || []).map(record => CallRecord.fromStorage(record));
+                this.sentRecords = new Map(parsed.sentRecords || []);
+                this.log(`Loaded ${this.allRecords.length} records from localStorage`);
+            }
+        } catch (e) {
+            this.log('Error loading from localStorage:', e);
+        }
+    }
+
+    // Keys saved before E.164 normalisation used bare 10-digit US numbers ("5551234567_<timestamp>")
+    migrateLegacyKey(key) {
+        return key.replace(/^(\d{10})_/, '+1$1_');
+    }
+
+    // Older snapshots keep phone-keyed entries in the pre-E.164 form
+    migrateLegacySnapshot(parsed) {
+        return {
+            ...parsed,
+            sentRecords: (parsed.sentRecords || []).map(([key, info]) => [this.migrateLegacyKey(key), info]),
+            processedAnswers: (parsed.processedAnswers || []).map(key => this.migrateLegacyKey(key))
+        };
+    }
+
+    // One-time move of the old localStorage snapshot into IndexedDB
+    async migrateLegacyState() {
+        const data = localStorage.getItem('nextiva_missed_calls');
+        if (!data) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+            this.log('Discarding unreadable localStorage snapshot:', e);
+            localStorage.removeItem('nextiva_missed_calls');
+            return;
+        }
+
+        const { records = [], sentRecords = [], ...session } = this.migrateLegacySnapshot(parsed);
+        await this.historyStore.putRecords(records.map(record => this.toHistoryEntry(CallRecord.fromStorage(record))));
+        await this.historyStore.putSent(sentRecords.map(([key, info]) => this.toSentEntry(key, info)));
+        await this.historyStore.setMeta('session', session);
+        await this.historyStore.setMeta('migratedFromLocalStorage', Date.now());
+
+        localStorage.removeItem('nextiva_missed_calls');
+        this.log(`Migrated ${records.length} records and ${sentRecords.length} sent records from localStorage to IndexedDB`);
+    }
+
+    // Clears the monitoring session; the call history in IndexedDB is kept
+    clearState() {
+        try {
+            localStorage.removeItem('nextiva_missed_calls');
+            if (this.historyStore.isAvailable()) {
+                this.historyStore.deleteMeta('session')
+                    .catch(error => this.performanceMonitor.logError(error, 'clearState'));
+            }
+            this.allRecords = [];
+            this.processedIndexes.clear();
+            this.realTimeMissedCount = 0;
+            this.realTimeAfterHoursCount = 0;
+            this.monitorStartTime = null;
+            this.sentRecords.clear();
+            this.agentStats.clear();
+            // Don't clear processedAnswers here - only clear when starting real-time mode
+            // The outbox is kept on purpose so queued writes still reach the sheet
+            this.log('Cleared session state');
+        } catch (e) {
+            this.log('Error clearing session state:', e);
+        }
+    }
+
+    getClock() {
+        const timeZone = this.settings.get('businessTimeZone');
+        if (!this.clock || this.clock.configuredTimeZone !== timeZone) {
+            this.clock = new BusinessClock(timeZone);
+            this.clock.configuredTimeZone = timeZone;
+        }
+        return this.clock;
+    }
+
+    getTimestampParser() {
+        const clock = this.getClock();
+        if (!this.timestampParser) {
+            this.timestampParser = new TimestampParser(clock);
+            this.timestampParser.onIssue = (issue) => {
+                console.warn(`[NextivaCollector] Timestamp "${issue.text}" read with low confidence: ${issue.reason}`);
+            };
+        }
+        this.timestampParser.clock = clock;
+        return this.timestampParser;
+    }
+
+    // Date for a timestamp label, or null; context.notAfter / notBefore come from the rows above and below
+    parseTimestamp(text, context = {}) {
+        const result = this.getTimestampParser().parse(text, context);
+        return result ? result.date : null;
+    }
+
+    // Dates for a column of labels ordered newest first, as the message list shows them
+    parseTimestampColumn(texts) {
+        return this.getTimestampParser().parseSequence(texts).map(result => result ? result.date : null);
+    }
+
+    formatDateTimeForSheet(date) {
+        const { year, month, day, hour, minute } = this.getClock().getParts(date);
+        const ampm = hour >= 12 ? 'PM' : 'AM';
+        const hours12 = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
+
+        return `${month.toString().padStart(2, '0')}/${day.toString().padStart(2, '0')}/${year} ${hours12.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')} ${ampm}`;
+    }
+
+    // ISO 8601 with the business timezone's offset, sent next to the display strings
+    formatDateTimeISO(date) {
+        return date ? this.getClock().formatISO(date) : '';
+    }
+
+    getPhoneNormalizer() {
+        const country = this.settings.get('defaultCountry');
+        if (!this.phoneNormalizer || this.phoneNormalizer.configuredCountry !== country) {
+            this.phoneNormalizer = new PhoneNumberNormalizer(country);
+            this.phoneNormalizer.configuredCountry = country;
+        }
+        return this.phoneNormalizer;
+    }
+
+    // Canonical key for phone-keyed maps: E.164 (with ";ext=" if present), short codes as dialled
+    extractPhoneNumber(contact) {
+        const parsed = this.getPhoneNormalizer().parse(contact);
+        return parsed ? parsed.key : contact;
+    }
+
+    // Helper function to extract phone number from entire row content
+    extractPhoneFromRow(row) {
+        const normalizer = this.getPhoneNormalizer();
+
+        // First try to find the caller info element
+        const callerInfoElement = this.selectors.query('callerInfo', row);
+        if (callerInfoElement) {
+            const parsed = normalizer.parse(callerInfoElement.textContent.trim());
+            if (parsed && !parsed.isShortCode) {
+                return parsed.display;
+            }
+        }
+
+        // Fallback: look at each text node on its own - the row's joined textContent runs numbers into timestamps
+        const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const parsed = normalizer.parse(walker.currentNode.textContent);
+            if (parsed && !parsed.isShortCode) {
+                return parsed.display;
+            }
+        }
+        return null;
+    }
+
+    // New function to separate contact name from phone number
+    separateContactInfo(contact, row = null) {
+        const parsed = this.getPhoneNormalizer().parse(contact);
+        if (parsed) {
+            // Whatever is left once the number is taken out is the name, e.g. "Acme Corp (555)123-4567"
+            const nameWithoutPhone = contact.replace(parsed.matchedText, '').replace(/^[\s,;:|·•-]+|[\s,;:|·•-]+$/g, '').trim();
+            return {
+                displayNumber: parsed.display,
+                contactName: nameWithoutPhone || null
+            };
+        }
+        // If no phone number found in contact name, try to extract from entire row
+        if (row) {
+            const phoneFromRow = this.extractPhoneFromRow(row);
+            if (phoneFromRow) {
+                return {
+                    displayNumber: phoneFromRow,
+                    contactName: contact
+                };
+            }
+        }
+
+        // If still no phone number found, this shouldn't happen in normal operation
+        // But we'll handle it gracefully
+        return {
+            displayNumber: contact,
+            contactName: contact
+        };
+    }
+
+    getCallFilter() {
+        const normalizer = this.getPhoneNormalizer();
+        const rulesText = this.settings.get('ignoreList');
+        if (this.callFilter.rulesText !== rulesText || this.callFilter.normalizer !== normalizer) {
+            this.callFilter.setRules(rulesText, normalizer);
+        }
+        return this.callFilter;
+    }
+
+    // True when the call was dropped; it goes to the filtered log instead of the records
+    filterCall(event, source) {
+        const filter = this.getCallFilter();
+        const reason = filter.check(event);
+        if (!reason) return false;
+
+        filter.record({
+            timestamp: event.timestamp.getTime(),
+            contact: event.contact,
+            contactName: event.contactName || null,
+            phoneNumber: event.phoneNumber,
+            type: event.isMissedCall ? 'missed' : event.isAnsweredCall ? 'answered' : event.isOutgoingCall ? 'outgoing' : 'other',
+            reason,
+            source
+        });
+        this.log(`Filtered call from ${event.contact}: ${reason}`);
+        return true;
+    }
+
+    showFilteredReport() {
+        const entries = this.callFilter.entries;
+        if (entries.length === 0) {
+            alert('No calls have been filtered.');
+            return;
+        }
+
+        const lines = entries.slice(-25).reverse().map(entry =>
+            `- ${this.getClock().format(new Date(entry.timestamp))} ${entry.contactName ? `${entry.contactName} ` : ''}${entry.contact} (${entry.type}): ${entry.reason}`
+        );
+        console.log('[Filtered Calls]', entries);
+        if (confirm(`Filtered calls (${entries.length} logged, newest first):\n${lines.join('\n')}\n\nThe full log is in the console. Clear the filtered call log?`)) {
+            this.callFilter.clearLog();
+        }
+    }
+
+    lookupCustomer(contact) {
+        return this.addressBook.lookup(this.extractPhoneNumber(contact));
+    }
+
+    // Sheet notes: the name Nextiva showed (or the address book's), plus account ID and tags when known
+    getCallerNotes(contact, contactName) {
+        const customer = this.lookupCustomer(contact);
+        if (!customer) return contactName;
+
+        const parts = [contactName || customer.name];
+        if (customer.accountId) parts.push(`Account ${customer.accountId}`);
+        if (customer.tags.length > 0) parts.push(`Tags: ${customer.tags.join(', ')}`);
+        return parts.filter(Boolean).join(' | ');
+    }
+
+    async importAddressBook(file) {
+        const text = await file.text();
+        const result = this.addressBook.import(text, file.name, this.getPhoneNormalizer());
+        this.log(`Imported address book ${file.name}:`, result);
+        this.dashboard.refresh();
+        return result;
+    }
+
+    getAnswerWindowMs() {
+        return this.settings.get('answerWindowMinutes') * 60 * 1000;
+    }
+
+    groupAnswersByNumber(answers) {
+        const answersByNumber = new Map();
+        for (const answer of answers) {
+            if (!answersByNumber.has(answer.phoneNumber)) {
+                answersByNumber.set(answer.phoneNumber, []);
+            }
+            answersByNumber.get(answer.phoneNumber).push(answer);
+        }
+        return answersByNumber;
+    }
+
+    // Like isActualMissedCall, but against stored answers instead of the last few hours of recentCalls
+    findAnswerNear(answersByNumber, phoneNumber, timestamp) {
+        const windowMs = this.getAnswerWindowMs();
+        return (answersByNumber.get(phoneNumber) || []).find(answer =>
+            Math.abs(answer.timestamp.getTime() - timestamp.getTime()) < windowMs) || null;
+    }
+
+    isActualMissedCall(phoneNumber, timestamp) {
+        const windowStart = new Date(timestamp.getTime() - this.getAnswerWindowMs());
+        const windowEnd = new Date(timestamp.getTime() + this.getAnswerWindowMs());
+        const calls = this.recentCalls.get(phoneNumber) || [];
+
+        for (const call of calls) {
+            if (call.time > windowStart && call.time < windowEnd && call.isAnswered) {
+                return 'No';
+            }
+        }
+
+        return 'Yes';
+    }
+
+    getBusinessCalendar() {
+        const scheduleText = this.settings.get('businessHours');
+        const holidaysText = this.settings.get('holidays');
+        const clock = this.getClock();
+
+        // Rebuild only when the settings text or timezone changes
+        if (!this.businessCalendar || this.businessCalendar.scheduleText !== scheduleText || this.businessCalendar.holidaysText !== holidaysText ||
+            this.businessCalendar.clock !== clock) {
+            this.businessCalendar = new BusinessHoursCalendar(scheduleText, holidaysText, clock);
+            this.businessCalendar.scheduleText = scheduleText;
+            this.businessCalendar.holidaysText = holidaysText;
+        }
+        return this.businessCalendar;
+    }
+
+    createMissedRecord({ timestamp, contact, dataIndex, hasVoicemail = false, contactName = null }, source = null) {
+        const record = new CallRecord(timestamp, contact, dataIndex);
+        record.hasVoicemail = hasVoicemail;
+        record.contactName = contactName;
+        record.source = source;
+        record.inBusinessHours = this.getBusinessCalendar().isOpen(timestamp);
+        return record;
+    }
+
+    // Live counter, optionally leaving after-hours calls out of the headline number
+    countMissedCall(record) {
+        if (!record.inBusinessHours && this.settings.get('excludeAfterHoursFromCounter')) {
+            this.realTimeAfterHoursCount++;
+        } else {
+            this.realTimeMissedCount++;
+        }
+    }
+
+    updateRecentCalls(phoneNumber, timestamp, isMissed, isAnswered = false, agent = null) {
+        if (!this.recentCalls.has(phoneNumber)) {
+            this.recentCalls.set(phoneNumber, []);
+        }
+
+        const calls = this.recentCalls.get(phoneNumber);
+        calls.push({
+            time: timestamp,
+            isMissed: isMissed,
+            isAnswered: isAnswered,
+            agent: agent
+        });
+
+        // Keep only calls within the retention period and limit array size
+        const recentCutoff = new Date(Date.now() - this.settings.get('recentCallsHours') * 60 * 60 * 1000);
+        const recentCalls = calls.filter(call => call.time > recentCutoff).slice(-10); // Max 10 calls per number
+        this.recentCalls.set(phoneNumber, recentCalls);
+    }
+
+    getRecordKey(record) {
+        return `${this.extractPhoneNumber(record.contact)}_${record.timestamp.getTime()}`;
+    }
+
+    // An update keeps the answered state already sent for the record: recentCalls only covers the last
+    // few hours, so recomputing it for a late callback would turn an earlier 'No' back into 'Yes'
+    getActualMissedCall(record, isUpdate) {
+        if (record.isAnswered) return 'No';
+        const sent = isUpdate ? this.sentRecords.get(this.getRecordKey(record)) : null;
+        if (sent && sent.actualMissedCall) return sent.actualMissedCall;
+        return this.isActualMissedCall(this.extractPhoneNumber(record.contact), record.timestamp);
+    }
+
+    buildSheetPayload(record, source, isUpdate = false) {
+        const phoneNumber = this.extractPhoneNumber(record.contact);
+        const contactInfo = this.separateContactInfo(record.contact);
+
+        return {
+            dateTime: this.formatDateTimeForSheet(record.timestamp),
+            timestamp: this.formatDateTimeISO(record.timestamp),
+            timeZone: this.getClock().timeZone,
+            number: contactInfo.displayNumber,
+            frequency: 1,
+            actualMissedCall: this.getActualMissedCall(record, isUpdate),
+            isUpdate: isUpdate,
+            phoneNumber: phoneNumber,
+            source: source,
+            notes: this.getCallerNotes(record.contact, record.contactName || contactInfo.contactName),
+            calledBack: record.calledBack ? 'Yes' : 'No',
+            callbackTime: record.callbackTime ? this.formatDateTimeForSheet(record.callbackTime) : '',
+            callbackTimestamp: this.formatDateTimeISO(record.callbackTime),
+            callbackDelayMinutes: record.callbackDelayMinutes ?? '',
+            voicemail: record.hasVoicemail ? 'Yes' : 'No',
+            inBusinessHours: record.inBusinessHours ? 'Yes' : 'No',
+            answerTime: record.answeredTime ? this.formatDateTimeForSheet(record.answeredTime) : '',
+            answerTimestamp: this.formatDateTimeISO(record.answeredTime),
+            answeredBy: record.answeredBy || ''
+        };
+    }
+
+    async sendToGoogleSheets(record, isUpdate = false) {
+        // Check if we're still in real-time mode before sending
+        if (!this.isRealTimeMode) {
+            this.log('Skipping Google Sheets request - real-time mode is off');
+            return;
+        }
+
+        const data = this.buildSheetPayload(record, isUpdate ? 'Real-time Update' : 'Real-time Monitor', isUpdate);
+
+        this.sentRecords.set(this.getRecordKey(record), {
+            dateTime: data.dateTime,
+            number: data.number,
+            actualMissedCall: data.actualMissedCall
+        });
+
+        this.outbox.enqueue(data, 'sendToGoogleSheets');
+        this.log('Queued for Google Sheets:', data);
+    }
+
+    postToGoogleSheets(payload) {
+        this.performanceMonitor.metrics.networkRequests++;
+
+        return new Promise((resolve) => {
+            try {
+                GM_xmlhttpRequest({
+                    method: 'POST',
+                    url: this.settings.get('googleScriptUrl'),
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    data: JSON.stringify(payload),
+                    timeout: 10000,
+                    anonymous: true, // Prevent sending credentials that might cause redirects
+                    onload: (response) => {
+                        if (response.status === 200) {
+                            resolve({ ok: true, status: response.status, responseText: response.responseText });
+                        } else {
+                            // Throttling and server errors are worth retrying, other client errors are not
+                            const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+                            resolve({ ok: false, retryable, status: response.status, error: `HTTP ${response.status}` });
+                        }
+                    },
+                    onerror: (error) => {
+                        this.performanceMonitor.logError(error, 'postToGoogleSheets');
+                        resolve({ ok: false, retryable: true, status: 0, error: 'Network error' });
+                    },
+                    ontimeout: () => {
+                        this.log('Timeout sending to Google Sheets');
+                        resolve({ ok: false, retryable: true, status: 0, error: 'Timeout' });
+                    }
+                });
+            } catch (e) {
+                this.performanceMonitor.logError(e, 'postToGoogleSheets');
+                resolve({ ok: false, retryable: true, status: 0, error: e.message });
+            }
+        });
+    }
+
+    handleSheetsDelivery(entry, result) {
+        if (entry.payload.action === 'bulkInsert') {
+            // A bulk upload batch that failed at first and was retried from the outbox
+            if (!this.readBulkInsertCounts(result.responseText, entry.payload.records.length)) {
+                this.log(`Apps Script did not confirm a queued bulk batch - resending its ${entry.payload.records.length} records one at a time`);
+                entry.payload.records.forEach(record => this.outbox.enqueue(record, 'uploadRecordsToSheet'));
+                return;
+            }
+            const uploadedKeys = this.loadUploadedKeys();
+            entry.payload.records.forEach(record => uploadedKeys.add(record.recordKey));
+            this.saveUploadedKeys(uploadedKeys);
+            this.log(`Queued bulk upload batch delivered: ${entry.payload.records.length} records`);
+            return;
+        }
+
+        if (entry.payload.isUpdate) {
+            this.log('Successfully updated missed call status:', entry.payload);
+            return;
+        }
+
+        // A bulk upload record sent on its own because the Apps Script has no bulkInsert handler
+        if (entry.payload.recordKey) {
+            const uploadedKeys = this.loadUploadedKeys();
+            uploadedKeys.add(entry.payload.recordKey);
+            this.saveUploadedKeys(uploadedKeys);
+        }
+
+        this.log('Successfully sent to Google Sheets:', entry.payload);
+        try {
+            const response = JSON.parse(result.responseText);
+            if (response.action === 'frequency_updated') {
+                this.log('Frequency updated for existing record');
+            }
+        } catch (e) {
+            // Ignore parsing errors
+        }
+    }
+
+    // Mark earlier missed calls from this number as called back, optionally pushing the result to the sheet
+    markCallbacks(phoneNumber, callbackTime, sendUpdates = false) {
+        const windowStart = new Date(callbackTime.getTime() - this.settings.get('callbackWindowHours') * 60 * 60 * 1000);
+        const calledBack = [];
+
+        for (const record of this.allRecords) {
+            if (record.calledBack) continue;
+            if (record.timestamp >= callbackTime || record.timestamp < windowStart) continue;
+            if (this.extractPhoneNumber(record.contact) !== phoneNumber) continue;
+
+            record.markCalledBack(callbackTime);
+            calledBack.push(record);
+        }
+
+        if (calledBack.length === 0) return calledBack;
+
+        this.log(`Outgoing call to ${phoneNumber} at ${this.getClock().format(callbackTime)} resolved ${calledBack.length} missed calls`,
+            calledBack.map(record => `${this.getClock().format(record.timestamp)} (${record.callbackDelayMinutes} min)`));
+
+        if (sendUpdates && this.isRealTimeMode) {
+            for (const record of calledBack) {
+                if (!this.sentRecords.has(this.getRecordKey(record))) continue;
+
+                const updateData = this.buildSheetPayload(record, `Called back at ${this.formatDateTimeForSheet(callbackTime)}`, true);
+                this.outbox.enqueue(updateData, 'markCallbacks');
+            }
+        }
+
+        return calledBack;
+    }
+
+    async updateMissedCallsAfterAnswer(phoneNumber, answerTimestamp, agent = null) {
+        // Check if we're still in real-time mode before processing
+        if (!this.isRealTimeMode) {
+            this.log('Skipping missed call update - real-time mode is off');
+            return 0;
+        }
+
+        const windowStart = new Date(answerTimestamp.getTime() - this.getAnswerWindowMs());
+        const affectedRecords = [];
 
         // Simple deduplication: check if we've processed this exact call recently
         // Use minute-based key to prevent duplicate processing of the same answer event
@@ -608,7 +4220,7 @@ class NextivaCollector {
             return 0;
         }
 
-        this.log(`Looking for missed calls to update for phone ${phoneNumber} between ${oneHourAgo.toLocaleString()} and ${answerTimestamp.toLocaleString()}`);
+        this.log(`Looking for missed calls to update for phone ${phoneNumber} between ${this.getClock().format(windowStart)} and ${this.getClock().format(answerTimestamp)}`);
         this.log(`Total records to check: ${this.allRecords.length}, Sent records: ${this.sentRecords.size}`);
 
         // Debug: Show all sent records for this phone number
@@ -621,114 +4233,362 @@ class NextivaCollector {
         for (const record of this.allRecords) {
             const recordPhoneNumber = this.extractPhoneNumber(record.contact);
             if (recordPhoneNumber === phoneNumber &&
-                record.timestamp > oneHourAgo &&
+                record.timestamp > windowStart &&
                 record.timestamp < answerTimestamp) {
 
-                const recordKey = `${phoneNumber}_${record.timestamp.getTime()}`;
-                this.log(`Found potential record: ${record.contact} at ${record.timestamp.toLocaleString()}, sent: ${this.sentRecords.has(recordKey)}`);
+                const recordKey = `${phoneNumber}_${record.timestamp.getTime()}`;
+                this.log(`Found potential record: ${record.contact} at ${this.getClock().format(record.timestamp)}, sent: ${this.sentRecords.has(recordKey)}`);
+
+                if (this.sentRecords.has(recordKey)) {
+                    affectedRecords.push(record);
+                }
+            }
+        }
+
+        // Sent records that were trimmed from memory or came from an earlier session
+        const storedRecords = [];
+        try {
+            storedRecords.push(...await this.findStoredSentRecords(phoneNumber, windowStart, answerTimestamp));
+            affectedRecords.push(...storedRecords);
+        } catch (error) {
+            this.performanceMonitor.logError(error, 'updateMissedCallsAfterAnswer');
+        }
+
+        // Send updates for affected records (limit to prevent spam)
+        const updatedRecords = [];
+        for (const record of affectedRecords.slice(0, 3)) {
+            // Double-check we're still in real-time mode before sending
+            if (!this.isRealTimeMode) {
+                this.log('Real-time mode stopped during update process - aborting');
+                break;
+            }
+
+            this.log('Updating missed call status after answer:', {
+                contact: record.contact,
+                missedTime: this.getClock().format(record.timestamp),
+                answeredTime: this.getClock().format(answerTimestamp)
+            });
+
+            record.markAnswered(answerTimestamp, agent);
+
+            const contactInfo = this.separateContactInfo(record.contact);
+            const updateData = {
+                dateTime: this.formatDateTimeForSheet(record.timestamp), // Use the original missed call time to find the record
+                timestamp: this.formatDateTimeISO(record.timestamp),
+                timeZone: this.getClock().timeZone,
+                number: contactInfo.displayNumber,
+                phoneNumber: phoneNumber,
+                actualMissedCall: 'No',
+                isUpdate: true,
+                source: `Call answered${agent ? ` by ${agent}` : ''} at ${this.formatDateTimeForSheet(answerTimestamp)}`,
+                notes: this.getCallerNotes(record.contact, record.contactName || contactInfo.contactName),
+                answerTime: this.formatDateTimeForSheet(answerTimestamp), // Also send the answer time for logging
+                answerTimestamp: this.formatDateTimeISO(answerTimestamp),
+                answeredBy: agent || ''
+            };
+
+            this.outbox.enqueue(updateData, 'updateMissedCallsAfterAnswer');
+            updatedRecords.push(record);
+        }
+
+        // Always mark as processed to prevent re-processing the same answered call
+        this.processedAnswers.add(answerKey);
+
+        if (updatedRecords.length > 0) {
+            this.saveState();
+            this.storeHistory(storedRecords.filter(record => updatedRecords.includes(record)));
+            this.log(`Updated ${updatedRecords.length} of ${affectedRecords.length} missed call records`);
+        } else {
+            this.log(`No missed call records found to update for this answered call`);
+        }
+
+        return updatedRecords.length;
+    }
+
+    async findStoredSentRecords(phoneNumber, windowStart, answerTimestamp) {
+        if (!this.historyStore.isAvailable()) return [];
+
+        const inMemory = new Set(this.allRecords.map(record => this.getRecordKey(record)));
+        const found = [];
+        for (const entry of await this.historyStore.getRecordsByPhone(phoneNumber)) {
+            if (inMemory.has(entry.key) || entry.isAnswered) continue;
+            if (entry.timestamp <= windowStart.getTime() || entry.timestamp >= answerTimestamp.getTime()) continue;
+            if (this.sentRecords.has(entry.key) || await this.historyStore.getSent(entry.key)) {
+                found.push(CallRecord.fromStorage(entry));
+            }
+        }
+        return found;
+    }
+
+    startRealTimeMode() {
+        if (this.isRealTimeMode) {
+            this.stopRealTimeMode(true);
+        }
+        const lastMonitoredAt = this.getLastMonitoredAt();
+        this.isRealTimeMode = true;
+        this.isCollecting = false;
+
+        // Reset counters and perform cleanup
+        this.realTimeMissedCount = 0;
+        this.realTimeAfterHoursCount = 0;
+        this.monitorStartTime = new Date();
+        this.allRecords = [];
+        this.processedIndexes.clear();
+        this.recentCalls.clear();
+        this.sentRecords.clear();
+        this.processedAnswers.clear(); // Clear processed answers
+        this.realTimeFingerprints.clear();
+        this.agentStats.clear();
+
+        this.scrollToTop();
+        this.updateRealTimeCounter();
+        this.recordMonitorActivity();
+        this.log('Real-time mode started');
+
+        // Polling and the catch-up backfill start once this tab is elected leader
+        this.pendingBackfillFrom = lastMonitoredAt;
+        this.tabCoordinator.start();
+    }
+
+    handleBecomeLeader() {
+        if (!this.isRealTimeMode) return;
+
+        const backfillFrom = this.pendingBackfillFrom;
+        this.pendingBackfillFrom = null;
+        this.log('This tab is now leading real-time monitoring');
+
+        // Attaching runs a check straight away, which also picks up anything that arrived
+        // after a previous leader's last check
+        this.setupRealTimeObserver();
+        this.updateRealTimeCounter();
+
+        if (backfillFrom) {
+            this.backfillSinceLastSession(backfillFrom).catch(error => {
+                this.performanceMonitor.logError(error, 'backfillSinceLastSession');
+            });
+        }
+    }
+
+    handleBecomeFollower() {
+        this.log('Another tab is leading real-time monitoring - mirroring its state');
+        this.pendingBackfillFrom = null;
+        this.teardownRealTimeObserver();
+        this.updateRealTimeCounter();
+    }
+
+    getMirrorState() {
+        return {
+            ...this.getSessionState(),
+            records: this.allRecords.slice(-this.settings.get('maxRealTimeRecords')).map(record => record.toStorage()),
+            sentRecords: Array.from(this.sentRecords.entries()).slice(-200),
+            realTimeFingerprints: Array.from(this.realTimeFingerprints).slice(-300),
+            recentCalls: Array.from(this.recentCalls.entries()).map(([phoneNumber, calls]) =>
+                [phoneNumber, calls.map(call => ({ ...call, time: call.time.getTime() }))]
+            )
+        };
+    }
+
+    broadcastState() {
+        if (this.isRealTimeMode && this.tabCoordinator.isLeader()) {
+            this.tabCoordinator.broadcastState(this.getMirrorState());
+        }
+    }
+
+    applyMirroredState(state) {
+        if (!this.isRealTimeMode) return;
+
+        this.restoreState(state);
+        this.updateRealTimeCounter();
+    }
+
+    // Session state as produced by getMirrorState() - from the leading tab or a saved snapshot
+    restoreState(state) {
+        this.applySessionState(state);
+        this.allRecords = (state.records || []).map(record => CallRecord.fromStorage(record));
+        this.sentRecords = new Map(state.sentRecords || []);
+        this.realTimeFingerprints = new Set(state.realTimeFingerprints || []);
+        this.recentCalls = new Map((state.recentCalls || []).map(([phoneNumber, calls]) =>
+            [phoneNumber, calls.map(call => ({ ...call, time: new Date(call.time) }))]
+        ));
+    }
+
+    // Credit an answered call (and the missed calls it recovered) to the answering agent
+    recordAgentAnswer(agent, recoveredCount = 0, countAnswer = true) {
+        const name = agent || 'Unknown';
+        const stats = this.agentStats.get(name) || { answered: 0, recovered: 0 };
+        if (countAnswer) stats.answered++;
+        stats.recovered += recoveredCount;
+        this.agentStats.set(name, stats);
+    }
+
+    getAgentStats() {
+        return Array.from(this.agentStats.entries())
+            .map(([agent, stats]) => ({ agent, ...stats }))
+            .sort((a, b) => b.recovered - a.recovered || b.answered - a.answered);
+    }
+
+    showAgentReport() {
+        const stats = this.getAgentStats();
+        if (stats.length === 0) {
+            alert('No answered calls recorded in this monitoring session yet.');
+            return;
+        }
+
+        const lines = stats.map(({ agent, answered, recovered }) =>
+            `- ${agent}: ${answered} answered, ${recovered} missed calls recovered`
+        );
+        alert(`Agent Report (since monitoring started):\n${lines.join('\n')}`);
+        console.log('[Agent Report]', stats);
+    }
+
+    getLastMonitoredAt() {
+        const value = parseInt(localStorage.getItem('nextiva_last_monitored_at'));
+        return isNaN(value) ? null : new Date(value);
+    }
+
+    // Heartbeat so a crashed or closed tab still leaves a usable "last monitored" time behind
+    recordMonitorActivity() {
+        try {
+            localStorage.setItem('nextiva_last_monitored_at', String(Date.now()));
+        } catch (e) {
+            this.log('Error saving last monitored time:', e);
+        }
+    }
+
+    findAnswerInGap(missedEvent, gapEvents) {
+        const windowMs = this.getAnswerWindowMs();
+        return gapEvents.find(event =>
+            event.isAnsweredCall &&
+            event.phoneNumber === missedEvent.phoneNumber &&
+            Math.abs(event.timestamp - missedEvent.timestamp) < windowMs
+        );
+    }
 
-                if (this.sentRecords.has(recordKey)) {
-                    affectedRecords.push(record);
+    async backfillSinceLastSession(lastMonitoredAt) {
+        const maxBackfillHours = this.settings.get('maxBackfillHours');
+        if (maxBackfillHours === 0) return 0;
+
+        const gapEnd = this.monitorStartTime;
+        const horizon = new Date(gapEnd.getTime() - maxBackfillHours * 60 * 60 * 1000);
+        const gapStart = lastMonitoredAt > horizon ? lastMonitoredAt : horizon;
+        if (gapStart >= gapEnd) return 0;
+
+        this.log(`Backfilling calls between ${this.getClock().format(gapStart)} and ${this.getClock().format(gapEnd)}`);
+
+        // Scroll down until the list reaches the end of the previous session
+        const events = new Map();
+        const scrollContainer = this.findScrollContainer();
+        let reachedGapStart = false;
+
+        for (let step = 0; step < 40 && this.isRealTimeMode; step++) {
+            const rows = this.selectors.queryAll('row');
+            let notAfter = null;
+            for (const row of rows) {
+                let event;
+                try {
+                    event = this.parseRealTimeRow(row, { notAfter });
+                } catch (error) {
+                    this.performanceMonitor.logError(error, 'backfillSinceLastSession.parseRealTimeRow');
+                    continue;
+                }
+                if (!event) continue;
+                notAfter = event.timestamp;
+                if (event.timestamp <= gapStart) {
+                    reachedGapStart = true;
+                    continue;
                 }
+                if (event.timestamp > gapEnd) continue;
+                events.set(event.fingerprint, event);
             }
+
+            if (reachedGapStart || !scrollContainer) break;
+
+            const previousScrollTop = scrollContainer.scrollTop;
+            scrollContainer.scrollTop = previousScrollTop + Math.min(1200, scrollContainer.clientHeight * 1.2);
+            await new Promise(resolve => setTimeout(resolve, 600));
+            if (Math.abs(scrollContainer.scrollTop - previousScrollTop) < 20) break;
         }
 
-        // Send updates for affected records (limit to prevent spam)
-        for (const record of affectedRecords.slice(0, 3)) {
-            this.log('Updating missed call status after answer:', {
-                contact: record.contact,
-                missedTime: record.timestamp.toLocaleString(),
-                answeredTime: answerTimestamp.toLocaleString()
-            });
+        if (scrollContainer) {
+            this.scrollToTop();
+        }
 
-            const contactInfo = this.separateContactInfo(record.contact);
-            const updateData = {
-                dateTime: this.formatDateTimeForSheet(record.timestamp), // Use the original missed call time to find the record
-                number: contactInfo.displayNumber,
-                phoneNumber: phoneNumber,
-                actualMissedCall: 'No',
-                isUpdate: true,
-                source: `Call answered at ${this.formatDateTimeForSheet(answerTimestamp)}`,
-                notes: contactInfo.contactName,
-                answerTime: this.formatDateTimeForSheet(answerTimestamp) // Also send the answer time for logging
-            };
+        if (!this.isRealTimeMode) {
+            this.log('Real-time mode stopped during backfill - aborting');
+            return 0;
+        }
 
-            // Double-check we're still in real-time mode before sending
-            if (!this.isRealTimeMode) {
-                this.log('Real-time mode stopped during update process - aborting');
-                break;
+        // Oldest first, with every answer known up front so recovered calls are marked correctly
+        const gapEvents = Array.from(events.values())
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .filter(event => {
+                this.realTimeFingerprints.add(event.fingerprint);
+                return !this.filterCall(event, 'Backfill');
+            });
+        for (const event of gapEvents) {
+            this.updateRecentCalls(event.phoneNumber, event.timestamp, event.isMissedCall, event.isAnsweredCall, event.agent);
+            if (event.isAnsweredCall) {
+                this.recordAgentAnswer(event.agent, 0);
             }
+        }
+        this.storeAnsweredCalls(gapEvents.filter(event => event.isAnsweredCall));
 
-            try {
-                const requestId = `update_${Date.now()}_${Math.random()}`;
-                this.pendingRequests.add(requestId);
+        let backfilled = 0;
+        for (const event of gapEvents) {
+            if (!event.isMissedCall) continue;
 
-                GM_xmlhttpRequest({
-                    method: 'POST',
-                    url: this.googleScriptUrl,
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    data: JSON.stringify(updateData),
-                    timeout: 10000,
-                    anonymous: true, // Prevent sending credentials that might cause redirects
-                    onload: (response) => {
-                        this.pendingRequests.delete(requestId);
-                        if (!this.isRealTimeMode) {
-                            this.log('Update request completed but real-time mode is off - ignoring response');
-                            return;
-                        }
-                        if (response.status === 200) {
-                            this.log('Successfully updated missed call status');
-                        }
-                    },
-                    onerror: (error) => {
-                        this.pendingRequests.delete(requestId);
-                        this.performanceMonitor.logError(error, 'updateMissedCallsAfterAnswer');
-                    },
-                    ontimeout: () => {
-                        this.pendingRequests.delete(requestId);
-                        this.log('Timeout updating missed call status');
-                    }
-                });
-            } catch (e) {
-                this.performanceMonitor.logError(e, 'updateMissedCallsAfterAnswer');
+            const exists = this.allRecords.some(record =>
+                record.contact === event.contact &&
+                record.timestamp.getTime() === event.timestamp.getTime()
+            );
+            if (exists) continue;
+
+            const record = this.createMissedRecord(event, 'Backfill');
+            this.allRecords.push(record);
+
+            const answer = this.findAnswerInGap(event, gapEvents);
+            if (answer) {
+                record.markAnswered(answer.timestamp, answer.agent);
+                this.recordAgentAnswer(answer.agent, 1, false);
             }
-        }
 
-        // Always mark as processed to prevent re-processing the same answered call
-        this.processedAnswers.add(answerKey);
+            const data = this.buildSheetPayload(record, 'Backfill');
+            data.actualMissedCall = answer ? 'No' : 'Yes';
 
-        if (affectedRecords.length > 0) {
-            this.saveToLocalStorage();
-            this.log(`Updated ${affectedRecords.length} missed call records`);
-        } else {
-            this.log(`No missed call records found to update for this answered call`);
+            this.sentRecords.set(this.getRecordKey(record), {
+                dateTime: data.dateTime,
+                number: data.number,
+                actualMissedCall: data.actualMissedCall
+            });
+            this.outbox.enqueue(data, 'backfillSinceLastSession');
+
+            this.countMissedCall(record);
+            backfilled++;
         }
 
-        return affectedRecords.length;
-    }
+        // Callbacks made during the gap, applied after the missed calls they refer to were queued
+        for (const event of gapEvents) {
+            if (event.isOutgoingCall) {
+                this.markCallbacks(event.phoneNumber, event.timestamp, true);
+            }
+        }
 
-    startRealTimeMode() {
-        if (this.isRealTimeMode) {
-            this.stopRealTimeMode(true);
+        if (backfilled > 0) {
+            this.notifier.notifySummary(
+                `${backfilled} missed call${backfilled === 1 ? '' : 's'} while monitoring was off`,
+                `Since ${this.getClock().format(gapStart)}`
+            );
         }
-        this.isRealTimeMode = true;
-        this.isCollecting = false;
 
-        // Reset counters and perform cleanup
-        this.realTimeMissedCount = 0;
-        this.monitorStartTime = new Date();
-        this.allRecords = [];
-        this.processedIndexes.clear();
-        this.recentCalls.clear();
-        this.sentRecords.clear();
-        this.processedAnswers.clear(); // Clear processed answers
+        if (gapEvents.length > 0) {
+            this.saveState();
+            this.updateRealTimeCounter();
+        }
 
-        this.scrollToTop();
-        this.setupRealTimeObserver();
-        this.updateRealTimeCounter();
-        this.log('Real-time mode started');
+        this.log(`Backfill complete: ${gapEvents.length} rows in gap, ${backfilled} missed calls sent`, {
+            reachedGapStart: reachedGapStart
+        });
+        return backfilled;
     }
 
     stopRealTimeMode(skipDownload = false) {
@@ -736,8 +4596,42 @@ class NextivaCollector {
 
         this.log('Stopping real-time mode...');
         this.isRealTimeMode = false;
+        const wasFollower = this.tabCoordinator.isFollower();
+        this.pendingBackfillFrom = null;
+        // Hands leadership to another monitoring tab, if there is one
+        this.tabCoordinator.stop();
+        if (!wasFollower) {
+            this.recordMonitorActivity();
+        }
 
         // Clean up all observers and intervals immediately
+        this.teardownRealTimeObserver();
+
+        // Queued Sheets writes are left in the outbox and keep delivering in the background
+        const outboxStatus = this.outbox.getStatus();
+        if (outboxStatus.pending > 0) {
+            this.log(`${outboxStatus.pending} Google Sheets writes still queued in the outbox`);
+        }
+
+        if (!skipDownload) {
+            // A follower's stored session belongs to the tab that is still leading
+            if (wasFollower) {
+                this.allRecords = [];
+                this.sentRecords.clear();
+                this.agentStats.clear();
+            } else {
+                this.clearState();
+            }
+            this.realTimeMissedCount = 0;
+            this.realTimeAfterHoursCount = 0;
+            this.monitorStartTime = null;
+            this.updateRealTimeCounter();
+        }
+
+        this.log('Real-time mode stopped completely');
+    }
+
+    teardownRealTimeObserver() {
         if (this.realTimeObserver) {
             this.realTimeObserver.disconnect();
             this.realTimeObserver = null;
@@ -748,39 +4642,22 @@ class NextivaCollector {
             this.realTimeInterval = null;
             this.log('Real-time interval cleared');
         }
-        if (this._topRecordCheckInterval) {
-            clearInterval(this._topRecordCheckInterval);
-            this._topRecordCheckInterval = null;
-            this.log('Top record check interval cleared');
+        if (this.listMountObserver) {
+            this.listMountObserver.disconnect();
+            this.listMountObserver = null;
         }
-
-        // Cancel any pending network requests
-        if (this.pendingRequests && this.pendingRequests.size > 0) {
-            this.log(`Cancelling ${this.pendingRequests.size} pending requests`);
-            this.pendingRequests.clear();
-        }
-
-        if (!skipDownload) {
-            this.clearLocalStorage();
-            this.realTimeMissedCount = 0;
-            this.monitorStartTime = null;
-            this.updateRealTimeCounter();
+        if (this.checkDebounceTimer) {
+            clearTimeout(this.checkDebounceTimer);
+            this.checkDebounceTimer = null;
         }
-
-        this.log('Real-time mode stopped completely');
+        this.checkDeadline = null;
+        this.mountAnchor = null;
+        this.observedList = null;
     }
 
-    scrollToTop() {
-        const possibleContainers = [
-            '.infinite-scroll-component',
-            '[role="grid"]',
-            '.MuiBox-root > div',
-            'main',
-            '#root > div > div'
-        ];
-
+    findScrollContainer(allowLargestDiv = false) {
         let scrollContainer = null;
-        for (const selector of possibleContainers) {
+        for (const selector of this.selectors.chain('scrollContainer')) {
             const container = document.querySelector(selector);
             if (container && container.scrollHeight > container.clientHeight) {
                 scrollContainer = container;
@@ -788,6 +4665,24 @@ class NextivaCollector {
             }
         }
 
+        if (!scrollContainer && allowLargestDiv) {
+            const allDivs = document.getElementsByTagName('div');
+            let maxScrollHeight = 0;
+
+            for (const div of allDivs) {
+                if (div.scrollHeight > div.clientHeight && div.scrollHeight > maxScrollHeight) {
+                    scrollContainer = div;
+                    maxScrollHeight = div.scrollHeight;
+                }
+            }
+        }
+
+        return scrollContainer;
+    }
+
+    scrollToTop() {
+        const scrollContainer = this.findScrollContainer();
+
         try {
             window.scrollTo({ top: 0, behavior: 'smooth' });
             document.documentElement.scrollTop = 0;
@@ -802,246 +4697,673 @@ class NextivaCollector {
         }
     }
 
+    // One change pipeline: a MutationObserver scoped to the message list feeds a debounced,
+    // single-flight check; a slow poll only backs it up
     setupRealTimeObserver() {
-        this.lastTopRecord = this.getCurrentTopRecord();
-
-        const targetNode = document.body;
-
-        this.realTimeObserver = new MutationObserver(async (mutations) => {
-            let shouldCheck = false;
-            for (const mutation of mutations) {
-                if (
-                    (mutation.type === 'childList' && mutation.addedNodes.length > 0) ||
-                    mutation.type === 'characterData' ||
-                    mutation.type === 'attributes'
-                ) {
-                    shouldCheck = true;
-                    break;
-                }
+        this.realTimeObserver = new MutationObserver((mutations) => {
+            const relevant = mutations.some(mutation =>
+                mutation.type !== 'childList' || mutation.addedNodes.length > 0
+            );
+            if (relevant) {
+                this.scheduleCheck('mutation');
             }
-            if (shouldCheck) {
-                await this.checkForNewCalls();
+        });
+
+        // React can re-mount the list, leaving the observer on a detached node; this watcher only
+        // tests whether the observed list is still in the page and never runs a check itself
+        this.listMountObserver = new MutationObserver(() => {
+            if (!this.observedList || !this.observedList.isConnected) {
+                this.attachListObserver();
             }
         });
 
-        this.realTimeObserver.observe(targetNode, {
+        this.attachListObserver();
+        if (!this.observedList) {
+            this.watchForListMount();
+        }
+
+        this.realTimeInterval = setInterval(() => {
+            this.recordMonitorActivity();
+            this.attachListObserver();
+            this.scheduleCheck('poll', 0);
+        }, this.settings.get('fallbackPollSeconds') * 1000);
+    }
+
+    // The element wrapping the rows: the known list containers first, else the parent of the row wrappers
+    findListContainer() {
+        const row = this.selectors.query('row');
+        if (!row) return null;
+
+        for (const selector of this.selectors.chain('listContainer')) {
+            const container = row.closest(selector);
+            if (container) return container;
+        }
+        const wrapper = this.selectors.getRowWrapper(row);
+        return wrapper ? wrapper.element.parentElement : row.parentElement;
+    }
+
+    attachListObserver() {
+        if (!this.realTimeObserver) return;
+
+        const container = this.findListContainer();
+        if (!container || container === this.observedList) return;
+
+        this.realTimeObserver.disconnect();
+        this.realTimeObserver.observe(container, {
             childList: true,
             characterData: true,
             subtree: true,
             attributes: true,
-            attributeFilter: ['data-index']
+            attributeFilter: SelectorRegistry.INDEX_ATTRIBUTES
         });
+        const reattached = this.observedList !== null;
+        this.observedList = container;
+        this.watchForListMount();
+        this.performanceMonitor.metrics.observerAttachments++;
+        this.log(reattached ? 'Message list re-mounted - observer re-attached' : 'Observing message list');
+
+        // Rows may have arrived while nothing was watching
+        this.scheduleCheck(reattached ? 'remount' : 'attach', 0);
+    }
+
+    // Watches the list's nearest stable ancestor (the scroll container, else the list's parent) for a
+    // re-mount. Until a list is found there is nothing narrower than the body to watch; if the anchor
+    // itself is replaced, the fallback poll re-attaches.
+    watchForListMount() {
+        if (!this.listMountObserver) return;
+
+        let anchor = document.body;
+        if (this.observedList) {
+            anchor = this.observedList.parentElement || document.body;
+            for (const selector of this.selectors.chain('scrollContainer')) {
+                const container = this.observedList.parentElement && this.observedList.parentElement.closest(selector);
+                if (container) {
+                    anchor = container;
+                    break;
+                }
+            }
+        }
+        if (anchor === this.mountAnchor) return;
+
+        this.listMountObserver.disconnect();
+        this.listMountObserver.observe(anchor, { childList: true, subtree: true });
+        this.mountAnchor = anchor;
+    }
+
+    // Coalesces bursts of mutations into one check. Each new request pushes the check back, but never
+    // past checkMaxWaitMs after the first pending one, and never past an earlier immediate request.
+    scheduleCheck(trigger, delay = this.checkDebounceMs) {
+        const now = Date.now();
+        if (this.checkDebounceTimer) {
+            clearTimeout(this.checkDebounceTimer);
+            this.performanceMonitor.metrics.coalescedChecks++;
+        }
+        const latest = now + (delay > 0 ? this.checkMaxWaitMs : 0);
+        this.checkDeadline = this.checkDeadline === null ? latest : Math.min(this.checkDeadline, latest);
+
+        this.checkDebounceTimer = setTimeout(() => {
+            this.checkDebounceTimer = null;
+            this.checkDeadline = null;
+            if (this.isRealTimeMode) {
+                this.checkForNewCalls(trigger);
+            }
+        }, Math.max(0, Math.min(delay, this.checkDeadline - now)));
+    }
+
+    // Fingerprint identifying a call row independently of its (shifting) data-index
+    getRowFingerprint(contact, timestamp, type) {
+        return `${contact}_${timestamp.getTime()}_${type}`;
+    }
+
+    parseRealTimeRow(row, timestampContext = {}) {
+        const classified = this.classifier.classify(row);
+        const { dataIndex, contactText, timestampText } = classified;
+
+        if (dataIndex === null || !timestampText || !contactText) return null;
+
+        const originalContact = contactText;
+        const contactInfo = this.separateContactInfo(originalContact, row);
+
+        // Debug logging for contact info separation (only for names with phone extraction)
+        if (contactInfo.contactName && contactInfo.displayNumber !== originalContact) {
+            this.log('Contact name extracted:', {
+                originalContact: originalContact,
+                displayNumber: contactInfo.displayNumber,
+                contactName: contactInfo.contactName
+            });
+        }
+
+        // Use the display number for processing
+        const contact = contactInfo.displayNumber;
+
+        // Older rows (weekday or full dates) only show up when backfilling a gap
+        const timestamp = this.parseTimestamp(timestampText, timestampContext);
+        if (!timestamp) return null;
+
+        return {
+            dataIndex,
+            contact,
+            timestamp,
+            type: classified.type,
+            hasVoicemail: classified.hasVoicemail,
+            isMissedCall: classified.isMissed,
+            isAnsweredCall: classified.isAnswered,
+            isOutgoingCall: classified.isOutgoing,
+            agent: classified.agent,
+            contactName: contactInfo.contactName !== contact ? contactInfo.contactName : null,
+            phoneNumber: this.extractPhoneNumber(contact),
+            fingerprint: this.getRowFingerprint(contact, timestamp, classified.type)
+        };
+    }
+
+    // Walk down from the newest row until we reach one that was already processed
+    getNewRealTimeEvents() {
+        const rows = this.selectors.queryAll('row');
+
+        // The list is virtualised, so order by data-index rather than DOM position
+        const indexedRows = rows
+            .map(row => {
+                const dataIndex = this.selectors.getRowIndex(row);
+                return dataIndex !== null ? { row, index: parseInt(dataIndex) } : null;
+            })
+            .filter(item => item && !isNaN(item.index))
+            .sort((a, b) => a.index - b.index);
+
+        const events = [];
+        let notAfter = null; // The row above is newer, which settles labels like "Yesterday" or "Monday"
+        for (const { row } of indexedRows) {
+            let event;
+            try {
+                event = this.parseRealTimeRow(row, { notAfter });
+            } catch (error) {
+                this.performanceMonitor.logError(error, 'checkForNewCalls.parseRealTimeRow');
+                continue;
+            }
+            if (!event) continue;
+            notAfter = event.timestamp;
+
+            // Only process calls that occurred after monitoring started
+            if (this.monitorStartTime && event.timestamp <= this.monitorStartTime) break;
+
+            if (this.realTimeFingerprints.has(event.fingerprint)) break;
+
+            events.push(event);
+        }
+
+        // Claim the rows straight away so an overlapping check doesn't pick them up again
+        for (const event of events) {
+            this.realTimeFingerprints.add(event.fingerprint);
+        }
+
+        // Oldest first, so answers are always matched against missed calls that came before them
+        return events.reverse();
+    }
+
+    async processRealTimeEvent(event) {
+        const { contact, timestamp, dataIndex, phoneNumber, isMissedCall, isAnsweredCall, isOutgoingCall, agent } = event;
+
+        // Outgoing calls don't count as answers, they only resolve callbacks for earlier missed calls
+        if (isOutgoingCall) {
+            const calledBack = this.markCallbacks(phoneNumber, timestamp, true);
+            return { newMissedFound: 0, answeredFound: 0, callbacksFound: calledBack.length };
+        }
+
+        // Update recent calls tracking for both missed and answered calls
+        this.updateRecentCalls(phoneNumber, timestamp, isMissedCall, isAnsweredCall, agent);
+
+        // Handle answered calls - immediately update previous missed calls
+        if (isAnsweredCall) {
+            this.storeAnsweredCalls([{ phoneNumber, timestamp, agent }]);
+            this.log('Processing answered call immediately:', {
+                contact: contact,
+                phoneNumber: phoneNumber,
+                agent: agent,
+                timestamp: this.getClock().format(timestamp),
+                timestampMs: timestamp.getTime()
+            });
+
+            // Update any previous missed calls from this number
+            const updatedCount = await this.updateMissedCallsAfterAnswer(phoneNumber, timestamp, agent);
+            this.recordAgentAnswer(agent, updatedCount);
+            if (updatedCount > 0) {
+                this.log(`Updated ${updatedCount} previous missed calls for ${contact}`);
+                return { newMissedFound: 0, answeredFound: 1, agentStatsChanged: true };
+            }
+            return { newMissedFound: 0, answeredFound: 0, agentStatsChanged: true };
+        }
+
+        // Handle missed calls - only count new ones since monitoring started
+        if (isMissedCall) {
+            // Check if this record already exists based on contact + datetime
+            const exists = this.allRecords.some(record =>
+                record.contact === contact &&
+                record.timestamp.getTime() === timestamp.getTime()
+            );
 
-        this._topRecordCheckInterval && clearInterval(this._topRecordCheckInterval);
-        this._topRecordCheckInterval = setInterval(async () => {
-            const currentTop = this.getCurrentTopRecord();
-            if (currentTop && this.hasTopRecordChanged(currentTop)) {
-                await this.checkForNewCalls();
-                this.lastTopRecord = this.getCurrentTopRecord();
+            if (!exists) {
+                const record = this.createMissedRecord(event, 'Real-time Monitor');
+                this.allRecords.push(record);
+                this.countMissedCall(record);
+
+                this.log('New missed call detected - sending immediately:', {
+                    contact: record.contact,
+                    timestamp: this.getClock().format(record.timestamp),
+                    dataIndex: record.dataIndex
+                });
+
+                this.notifier.notifyMissedCall(phoneNumber, record.contact, record.contactName, record.timestamp, this.lookupCustomer(record.contact));
+
+                // Send to Google Sheets immediately
+                await this.sendToGoogleSheets(record);
+                return { newMissedFound: 1, answeredFound: 0 };
             }
-        }, 2000); // Increased interval for performance
+        }
+
+        return { newMissedFound: 0, answeredFound: 0 };
+    }
 
-        this.realTimeInterval = setInterval(async () => {
-            await this.checkForNewCalls();
-            this.lastTopRecord = this.getCurrentTopRecord();
-        }, 5000); // Increased interval for performance
+    // Single-flight: a caller arriving mid-check gets one follow-up run instead of a concurrent pass over the same rows
+    checkForNewCalls(trigger = 'manual') {
+        if (this.checkInFlight) {
+            this.checkQueued = true;
+            return this.checkInFlight;
+        }
+
+        this.checkInFlight = (async () => {
+            let result;
+            try {
+                do {
+                    this.checkQueued = false;
+                    const startTime = performance.now();
+                    result = await this.processNewCalls();
+                    this.performanceMonitor.recordCheck(trigger, performance.now() - startTime);
+                    trigger = 'queued';
+                } while (this.checkQueued);
+            } finally {
+                this.checkInFlight = null;
+            }
+            return result;
+        })();
+        return this.checkInFlight;
     }
 
-    getCurrentTopRecord() {
+    async processNewCalls() {
+        const startTime = performance.now();
+
         try {
-            let topRow = document.querySelector('[data-index="0"] [data-testid="CommunicationsUI-Compact-View-Message-queue-card"]');
+            this.performanceMonitor.metrics.domQueries++;
+
+            const events = this.getNewRealTimeEvents();
+            if (events.length === 0) {
+                return { newMissedFound: 0, answeredFound: 0 };
+            }
 
-            if (!topRow) {
-                topRow = document.querySelector('[data-testid="CommunicationsUI-Compact-View-Message-queue-card"]');
+            if (events.length > 1) {
+                this.log(`Processing ${events.length} new rows since last check`);
             }
 
-            if (!topRow) return null;
+            let newMissedFound = 0;
+            let answeredFound = 0;
+            let callbacksFound = 0;
+            let agentStatsChanged = false;
+
+            for (const event of events) {
+                if (this.filterCall(event, 'Real-time Monitor')) continue;
+                try {
+                    const result = await this.processRealTimeEvent(event);
+                    newMissedFound += result.newMissedFound;
+                    answeredFound += result.answeredFound;
+                    callbacksFound += result.callbacksFound || 0;
+                    agentStatsChanged = agentStatsChanged || Boolean(result.agentStatsChanged);
+                } catch (error) {
+                    this.performanceMonitor.logError(error, 'checkForNewCalls.processRealTimeEvent');
+                }
+            }
 
-            const contactElement = topRow.querySelector('[data-testid="CommunicationsUI-Compact-View-sender"]');
-            const timestampElement = topRow.querySelector('[data-testid="CommunicationsUI-Compact-View-timestamp"]');
+            if (newMissedFound > 0 || answeredFound > 0 || callbacksFound > 0 || agentStatsChanged) {
+                this.saveState();
+                this.updateRealTimeCounter();
 
-            if (!contactElement || !timestampElement) return null;
+                if (answeredFound > 0) {
+                    this.log(`Processed ${answeredFound} answered calls and updated related missed call records`);
+                }
+            }
 
-            return {
-                contact: contactElement.textContent.trim(),
-                timestamp: timestampElement.textContent.trim(),
-                content: topRow.textContent.trim()
-            };
-        } catch (e) {
-            return null;
+            const processingTime = performance.now() - startTime;
+            if (processingTime > 200) {
+                console.warn(`[Performance] Slow processing: ${processingTime.toFixed(2)}ms`);
+            }
+
+            return { newMissedFound, answeredFound };
+        } catch (error) {
+            this.performanceMonitor.logError(error, 'processNewCalls');
+            return { newMissedFound: 0, answeredFound: 0 };
+        }
+    }
+
+    updateRealTimeCounter() {
+        const counter = document.getElementById('missed-call-counter');
+        if (counter) {
+            const text = this.realTimeAfterHoursCount > 0 ?
+                `Missed calls: ${this.realTimeMissedCount} (+${this.realTimeAfterHoursCount} after hours)` :
+                `Missed calls: ${this.realTimeMissedCount}`;
+            counter.textContent = this.tabCoordinator.isFollower() ? `${text} (mirrored)` : text;
+            counter.title = this.tabCoordinator.isFollower() ?
+                'Another tab is monitoring and sending; this tab mirrors it and takes over if that tab closes' : '';
+        }
+        this.dashboard.refresh();
+        this.broadcastState();
+    }
+
+    updateOutboxCounter() {
+        const counter = document.getElementById('outbox-counter');
+        if (!counter) return;
+
+        const { pending, deadLetters } = this.outbox.getStatus();
+        counter.textContent = deadLetters > 0 ?
+            `Outbox: ${pending} (${deadLetters} failed)` :
+            `Outbox: ${pending}`;
+        counter.style.color = deadLetters > 0 ? '#e74c3c' : '#e67e22';
+        counter.style.display = pending > 0 || deadLetters > 0 ? 'block' : 'none';
+    }
+
+    showOutboxReport() {
+        const { pending, deadLetters, nextAttemptAt } = this.outbox.getStatus();
+        const recent = this.outbox.deadLetters.slice(-5).map(entry => {
+            const label = entry.payload.isBatch ?
+                `Bulk batch of ${entry.payload.records.length}` :
+                `${entry.payload.dateTime} ${entry.payload.number}`;
+            return `- ${label}: ${entry.lastError} (${entry.attempts} attempts)`;
+        });
+        const message = `
+Google Sheets Outbox:
+- Queued: ${pending}${nextAttemptAt ? ` (next attempt ${this.getClock().format(new Date(nextAttemptAt), { hour: 'numeric', minute: '2-digit', second: '2-digit' })})` : ''}
+- Dead letters: ${deadLetters}
+${recent.length > 0 ? `\nMost recent failures:\n${recent.join('\n')}` : ''}
+        `.trim();
+
+        console.log('[Outbox] Queue:', this.outbox.queue);
+        console.log('[Outbox] Dead letters:', this.outbox.deadLetters);
+
+        if (deadLetters > 0) {
+            if (confirm(`${message}\n\nRetry all dead letters now?`)) {
+                const count = this.outbox.retryDeadLetters();
+                this.log(`Re-queued ${count} dead letters`);
+            }
+        } else {
+            alert(message);
+        }
+    }
+
+    openGoogleSheet() {
+        window.open(this.settings.get('googleSheetUrl'), '_blank');
+    }
+
+    applySettings() {
+        // Restart the real-time timers so new polling intervals take effect immediately
+        if (this.isRealTimeMode && this.tabCoordinator.isLeader()) {
+            this.teardownRealTimeObserver();
+            this.setupRealTimeObserver();
         }
+        this.performanceCleanup();
+        this.log('Settings applied:', this.settings.values);
     }
 
-    hasTopRecordChanged(currentTopRecord) {
-        if (!this.lastTopRecord) return true;
+    testSheetsConnection(scriptUrl) {
+        const data = {
+            dateTime: this.formatDateTimeForSheet(new Date()),
+            timestamp: this.formatDateTimeISO(new Date()),
+            timeZone: this.getClock().timeZone,
+            number: 'TEST',
+            frequency: 0,
+            actualMissedCall: 'No',
+            isUpdate: false,
+            isTest: true,
+            phoneNumber: 'TEST',
+            source: 'Connection Test',
+            notes: 'Connection test from Nextiva Collector - safe to delete'
+        };
 
-        return (
-            this.lastTopRecord.contact !== currentTopRecord.contact ||
-            this.lastTopRecord.timestamp !== currentTopRecord.timestamp ||
-            this.lastTopRecord.content !== currentTopRecord.content
-        );
+        return new Promise((resolve) => {
+            try {
+                this.performanceMonitor.metrics.networkRequests++;
+                GM_xmlhttpRequest({
+                    method: 'POST',
+                    url: scriptUrl,
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    data: JSON.stringify(data),
+                    timeout: 10000,
+                    anonymous: true,
+                    onload: (response) => {
+                        if (response.status === 200) {
+                            resolve({ ok: true, message: 'Connection successful' });
+                        } else {
+                            resolve({ ok: false, message: `Apps Script returned HTTP ${response.status}` });
+                        }
+                    },
+                    onerror: (error) => {
+                        this.performanceMonitor.logError(error, 'testSheetsConnection');
+                        resolve({ ok: false, message: 'Network error contacting Apps Script' });
+                    },
+                    ontimeout: () => {
+                        resolve({ ok: false, message: 'Request timed out' });
+                    }
+                });
+            } catch (e) {
+                this.performanceMonitor.logError(e, 'testSheetsConnection');
+                resolve({ ok: false, message: e.message });
+            }
+        });
     }
 
-    async checkForNewCalls() {
-        const startTime = performance.now();
+    showSettingsDialog() {
+        if (document.getElementById('nextiva-settings-dialog')) return;
 
-        try {
-            this.performanceMonitor.metrics.domQueries++;
+        const overlay = document.createElement('div');
+        overlay.id = 'nextiva-settings-dialog';
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.4);
+            z-index: 10000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: sans-serif;
+        `;
 
-            // Only check the top/newest record
-            const topRow = document.querySelector('[data-testid="CommunicationsUI-Compact-View-Message-queue-card"]');
+        const dialog = document.createElement('div');
+        dialog.style.cssText = `
+            background: white;
+            color: #2c3e50;
+            padding: 16px 20px;
+            border-radius: 6px;
+            width: 460px;
+            max-height: 85vh;
+            overflow-y: auto;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+            font-size: 13px;
+        `;
 
-            if (!topRow) {
-                return { newMissedFound: 0, answeredFound: 0 };
+        const title = document.createElement('div');
+        title.textContent = 'Collector Settings';
+        title.style.cssText = 'font-size: 16px; font-weight: bold; margin-bottom: 12px;';
+        dialog.appendChild(title);
+
+        const inputs = {};
+        for (const field of CollectorSettings.fields) {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            label.style.cssText = 'display: block; margin-top: 8px; font-weight: bold;';
+
+            const input = document.createElement('input');
+            if (field.type === 'boolean') {
+                input.type = 'checkbox';
+                input.checked = this.settings.get(field.key);
+                input.style.cssText = 'margin-right: 6px;';
+                label.style.fontWeight = 'normal';
+                label.prepend(input);
+                inputs[field.key] = input;
+                dialog.appendChild(label);
+                continue;
             }
 
-            let newMissedFound = 0;
-            let answeredFound = 0;
-
-            // Process only the top row
-            try {
-                const parentElement = topRow.closest('[data-index]');
-                if (!parentElement) {
-                    return { newMissedFound: 0, answeredFound: 0 };
-                }
-
-                const dataIndex = parentElement.getAttribute('data-index');
-
-                const isMissedCall = topRow.textContent.includes('Missed call');
-                const isAnsweredCall = topRow.textContent.includes('Incoming call answered by') || topRow.textContent.includes('Incoming call');
-                const timestampElement = topRow.querySelector('[data-testid="CommunicationsUI-Compact-View-timestamp"]');
-                const contactElement = topRow.querySelector('[data-testid="CommunicationsUI-Compact-View-sender"]');
+            input.type = field.type === 'number' ? 'number' : 'text';
+            input.value = this.settings.get(field.key);
+            input.style.cssText = 'width: 100%; box-sizing: border-box; padding: 4px 6px; margin-top: 2px;';
+            if (field.type === 'number') {
+                input.min = field.min;
+                input.max = field.max;
+                input.step = 1;
+            }
 
-                if (!timestampElement || !contactElement) {
-                    return { newMissedFound: 0, answeredFound: 0 };
-                }
+            inputs[field.key] = input;
+            dialog.appendChild(label);
+            dialog.appendChild(input);
+        }
 
-                let contact = contactElement.textContent.trim();
-                const contactInfo = this.separateContactInfo(contact, topRow);
+        const message = document.createElement('div');
+        message.style.cssText = 'margin-top: 12px; min-height: 16px; white-space: pre-line;';
+        dialog.appendChild(message);
 
-                // Debug logging for contact info separation (only for names with phone extraction)
-                if (contactInfo.contactName && contactInfo.displayNumber !== contact) {
-                    this.log('Contact name extracted:', {
-                        originalContact: contact,
-                        displayNumber: contactInfo.displayNumber,
-                        contactName: contactInfo.contactName
-                    });
-                }
+        const showMessage = (text, isError) => {
+            message.textContent = text;
+            message.style.color = isError ? '#e74c3c' : '#27ae60';
+        };
 
-                // Use the display number for processing
-                contact = contactInfo.displayNumber;
+        const readInputs = () => {
+            const values = {};
+            for (const [key, input] of Object.entries(inputs)) {
+                values[key] = input.type === 'checkbox' ? input.checked : input.value;
+            }
+            return values;
+        };
 
-                const timestamp = this.parseDateTime(timestampElement.textContent, []);
-                if (!timestamp) {
-                    return { newMissedFound: 0, answeredFound: 0 };
-                }
+        const buttonBar = document.createElement('div');
+        buttonBar.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;';
 
-                // Only process calls that occurred after monitoring started
-                if (this.monitorStartTime && timestamp <= this.monitorStartTime) {
-                    return { newMissedFound: 0, answeredFound: 0 };
-                }
+        const makeButton = (text, color, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.cssText = `
+                padding: 6px 12px;
+                background-color: ${color};
+                color: white;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 12px;
+            `;
+            button.onclick = onClick;
+            buttonBar.appendChild(button);
+            return button;
+        };
 
-                const phoneNumber = this.extractPhoneNumber(contact);
-
-                // Update recent calls tracking for both missed and answered calls
-                this.updateRecentCalls(phoneNumber, timestamp, isMissedCall, isAnsweredCall);
-
-                // Handle answered calls - immediately update previous missed calls
-                if (isAnsweredCall) {
-                    this.log('Processing answered call immediately:', {
-                        contact: contact,
-                        phoneNumber: phoneNumber,
-                        timestamp: timestamp.toLocaleString(),
-                        timestampMs: timestamp.getTime()
-                    });
-
-                    // Update any previous missed calls from this number
-                    const updatedCount = await this.updateMissedCallsAfterAnswer(phoneNumber, timestamp);
-                    if (updatedCount > 0) {
-                        answeredFound++;
-                        this.log(`Updated ${updatedCount} previous missed calls for ${contact}`);
-                    }
-                    return { newMissedFound: 0, answeredFound };
-                }
+        const testButton = makeButton('Test Connection', '#8e44ad', async () => {
+            const { values, errors } = this.settings.validate({ googleScriptUrl: inputs.googleScriptUrl.value });
+            if (errors.length > 0) {
+                showMessage(errors.join('\n'), true);
+                return;
+            }
+            testButton.disabled = true;
+            showMessage('Sending test payload...', false);
+            const result = await this.testSheetsConnection(values.googleScriptUrl);
+            testButton.disabled = false;
+            showMessage(result.message, !result.ok);
+        });
 
-                // Handle missed calls - only count new ones since monitoring started
-                if (isMissedCall) {
-                    // Check if this record already exists based on contact + datetime
-                    const exists = this.allRecords.some(record =>
-                        record.contact === contact &&
-                        record.timestamp.getTime() === timestamp.getTime()
-                    );
-
-                    if (!exists) {
-                        const record = new CallRecord(timestamp, contact, dataIndex);
-                        this.allRecords.push(record);
-                        this.realTimeMissedCount++; // Increment real-time counter
-                        newMissedFound++;
-
-                        this.log('New missed call detected - sending immediately:', {
-                            contact: record.contact,
-                            timestamp: record.timestamp.toLocaleString(),
-                            dataIndex: record.dataIndex
-                        });
-
-                        // Send to Google Sheets immediately
-                        await this.sendToGoogleSheets(record);
+        const contactsInput = document.createElement('input');
+        contactsInput.type = 'file';
+        contactsInput.accept = '.csv,.vcf,text/csv,text/vcard';
+        contactsInput.style.display = 'none';
+        contactsInput.onchange = async () => {
+            const file = contactsInput.files[0];
+            contactsInput.value = '';
+            if (!file) return;
+            try {
+                const { imported, numbers, skipped } = await this.importAddressBook(file);
+                contactsButton.textContent = `Contacts (${imported})`;
+                showMessage(`Imported ${imported} contacts (${numbers} numbers)${skipped ? `, skipped ${skipped} without a usable number or name` : ''}`, false);
+            } catch (error) {
+                showMessage(`Address book import failed: ${error.message}`, true);
+            }
+        };
+        dialog.appendChild(contactsInput);
+
+        const contactsButton = makeButton(`Contacts (${this.addressBook.contacts.length})`, '#2980b9', () => {
+            if (this.addressBook.contacts.length > 0) {
+                const replace = confirm(`${this.addressBook.contacts.length} contacts imported ${this.getClock().format(new Date(this.addressBook.importedAt))}.\n\nOK to import a new file in their place, Cancel to keep them.`);
+                if (!replace) {
+                    if (confirm('Remove the imported contacts instead?')) {
+                        this.addressBook.clear();
+                        contactsButton.textContent = 'Contacts (0)';
+                        showMessage('Address book cleared', false);
                     }
+                    return;
                 }
-            } catch (error) {
-                this.performanceMonitor.logError(error, 'checkForNewCalls.topRowProcessing');
-                return { newMissedFound: 0, answeredFound: 0 };
             }
+            contactsInput.click();
+        });
+        contactsButton.title = 'Import a CSV or vCard address book to add customer names, account IDs and tags';
 
-            // All calls are now processed immediately as they are detected
-
-            if (newMissedFound > 0 || answeredFound > 0) {
-                this.saveToLocalStorage();
-                this.updateRealTimeCounter();
-
-                if (answeredFound > 0) {
-                    this.log(`Processed ${answeredFound} answered calls and updated related missed call records`);
+        makeButton('Reset Defaults', '#95a5a6', () => {
+            for (const [key, input] of Object.entries(inputs)) {
+                if (input.type === 'checkbox') {
+                    input.checked = CollectorSettings.defaults[key];
+                } else {
+                    input.value = CollectorSettings.defaults[key];
                 }
             }
+            showMessage('Defaults restored - click Save to keep them', false);
+        });
 
-            const processingTime = performance.now() - startTime;
-            this.performanceMonitor.recordProcessingTime(processingTime);
+        makeButton('Cancel', '#7f8c8d', () => overlay.remove());
 
-            if (processingTime > 200) {
-                console.warn(`[Performance] Slow processing: ${processingTime.toFixed(2)}ms`);
+        makeButton('Save', '#27ae60', async () => {
+            const { saved, errors } = this.settings.save(readInputs());
+            if (!saved) {
+                showMessage(errors.join('\n'), true);
+                return;
             }
+            this.applySettings();
 
-            return { newMissedFound, answeredFound };
-        } catch (error) {
-            this.performanceMonitor.logError(error, 'checkForNewCalls');
-            return { newMissedFound: 0, answeredFound: 0 };
-        }
-    }
-
-    updateRealTimeCounter() {
-        const counter = document.getElementById('missed-call-counter');
-        if (counter) {
-            counter.textContent = `Missed calls: ${this.realTimeMissedCount}`;
-        }
-    }
+            // Ask for permission while we still have the click as a user gesture
+            if (this.settings.get('notificationsEnabled')) {
+                if (this.settings.get('notificationSound')) {
+                    this.notifier.unlockAudio();
+                }
+                const permission = await this.notifier.requestPermission();
+                if (permission === 'denied' || permission === 'unsupported') {
+                    showMessage('Settings saved, but the browser blocked notifications for this site', true);
+                    return;
+                }
+            }
+            overlay.remove();
+        });
 
-    openGoogleSheet() {
-        window.open(this.googleSheetUrl, '_blank');
+        dialog.appendChild(buttonBar);
+        overlay.appendChild(dialog);
+        overlay.onclick = (event) => {
+            if (event.target === overlay) overlay.remove();
+        };
+        document.body.appendChild(overlay);
     }
 
     async collectRecords() {
-        const rows = document.querySelectorAll('[data-testid="CommunicationsUI-Compact-View-Message-queue-card"]');
+        const rows = this.selectors.queryAll('row');
         this.lastKnownRowCount = rows.length;
         this.log(`Found ${rows.length} message rows`);
         let newRecordsCount = 0;
         let missingIndexes = [];
+        const answeredCalls = [];
 
         const currentIndexes = new Set();
         rows.forEach(row => {
-            const parentElement = row.closest('[data-index]');
-            if (parentElement) {
-                const dataIndex = parseInt(parentElement.getAttribute('data-index'));
-                currentIndexes.add(dataIndex);
+            const dataIndex = this.selectors.getRowIndex(row);
+            if (dataIndex !== null) {
+                currentIndexes.add(parseInt(dataIndex));
             }
         });
 
@@ -1055,25 +5377,26 @@ class NextivaCollector {
             this.log('Missing indexes detected:', missingIndexes);
         }
 
-        const lowerRowDates = [];
-        for (const row of rows) {
-            const timestampElement = row.querySelector('[data-testid="CommunicationsUI-Compact-View-timestamp"]');
-            if (timestampElement) {
-                const timestamp = this.parseDateTime(timestampElement.textContent);
-                if (timestamp) {
-                    lowerRowDates.push(timestamp);
-                }
-            }
-        }
+        // Parse the whole column at once so each row's neighbours can settle relative labels
+        const rowTimestamps = new Map();
+        const timestampRows = rows
+            .map(row => ({
+                row,
+                element: this.selectors.query('timestamp', row),
+                index: parseInt(this.selectors.getRowIndex(row))
+            }))
+            .filter(item => item.element)
+            .sort((a, b) => (isNaN(a.index) || isNaN(b.index) ? 0 : a.index - b.index)); // Virtualised: DOM order isn't list order
+        this.parseTimestampColumn(timestampRows.map(item => item.element.textContent))
+            .forEach((timestamp, i) => rowTimestamps.set(timestampRows[i].row, timestamp));
 
         for (const row of rows) {
-            const parentElement = row.closest('[data-index]');
-            if (!parentElement) {
+            const dataIndex = this.selectors.getRowIndex(row);
+            if (dataIndex === null) {
                 this.log('Warning: Found row without data-index');
                 continue;
             }
 
-            const dataIndex = parentElement.getAttribute('data-index');
             const numericIndex = parseInt(dataIndex);
 
             this.maxProcessedIndex = Math.max(this.maxProcessedIndex, numericIndex);
@@ -1082,18 +5405,20 @@ class NextivaCollector {
                 continue;
             }
 
-            const isMissedCall = row.textContent.includes('Missed call');
-            const isAnsweredCall = row.textContent.includes('Incoming call answered by') || row.textContent.includes('Incoming call');
+            const classified = this.classifier.classify(row);
+            const isMissedCall = classified.isMissed;
+            const isAnsweredCall = classified.isAnswered;
+            const isOutgoingCall = classified.isOutgoing;
 
-            if (!isMissedCall && !isAnsweredCall) {
+            if (!isMissedCall && !isAnsweredCall && !isOutgoingCall) {
                 this.processedIndexes.add(dataIndex);
                 continue;
             }
 
-            const timestampElement = row.querySelector('[data-testid="CommunicationsUI-Compact-View-timestamp"]');
+            const timestampElement = this.selectors.query('timestamp', row);
             if (!timestampElement) continue;
 
-            const contactElement = row.querySelector('[data-testid="CommunicationsUI-Compact-View-sender"]');
+            const contactElement = this.selectors.query('sender', row);
             if (!contactElement) continue;
 
             let contact = contactElement.textContent.trim();
@@ -1101,12 +5426,7 @@ class NextivaCollector {
             // Use the display number for processing
             contact = contactInfo.displayNumber;
 
-            // For bulk collection mode, try to parse any date format, not just recent ones
-            let timestamp = this.parseDateTime(timestampElement.textContent, lowerRowDates);
-            if (!timestamp) {
-                timestamp = this.parseAnyDateTime(timestampElement.textContent);
-            }
-
+            const timestamp = rowTimestamps.get(row);
             if (!timestamp) {
                 this.log('Could not parse timestamp:', {
                     text: timestampElement.textContent,
@@ -1117,19 +5437,57 @@ class NextivaCollector {
                 continue;
             }
 
+            // Resuming: rows newer than the checkpoint were collected by the previous run
+            if (this.resumeFrom && timestamp > this.resumeFrom) {
+                this.processedIndexes.add(dataIndex);
+                continue;
+            }
+
             const phoneNumber = this.extractPhoneNumber(contact);
+            const filterEvent = {
+                contact,
+                contactName: contactInfo.contactName !== contact ? contactInfo.contactName : null,
+                phoneNumber,
+                timestamp,
+                isMissedCall,
+                isAnsweredCall,
+                isOutgoingCall
+            };
+            if (this.filterCall(filterEvent, 'Bulk Collection')) {
+                this.processedIndexes.add(dataIndex);
+                continue;
+            }
+
+            // Outgoing calls are matched to missed calls once the whole history has been collected
+            if (isOutgoingCall) {
+                this.outgoingCalls.push({ phoneNumber, timestamp });
+                this.processedIndexes.add(dataIndex);
+                continue;
+            }
 
             // Track all calls for answered call logic
             this.updateRecentCalls(phoneNumber, timestamp, isMissedCall, isAnsweredCall);
+            if (isAnsweredCall) {
+                answeredCalls.push({ phoneNumber, timestamp, agent: classified.agent });
+            }
 
             // Only add missed calls to our records
-            if (isMissedCall) {
-                this.allRecords.push(new CallRecord(timestamp, contact, dataIndex));
+            const alreadyCollected = this.resumeFrom && timestamp.getTime() === this.resumeFrom.getTime() &&
+                this.allRecords.some(record => record.contact === contact && record.timestamp.getTime() === timestamp.getTime());
+            if (isMissedCall && !alreadyCollected) {
+                const record = this.createMissedRecord({
+                    timestamp,
+                    contact,
+                    dataIndex,
+                    hasVoicemail: classified.hasVoicemail,
+                    contactName: contactInfo.contactName !== contact ? contactInfo.contactName : null
+                }, 'Bulk Collection');
+                this.allRecords.push(record);
                 newRecordsCount++;
 
                 this.log('Added record:', {
                     contact,
-                    timestamp: timestamp.toLocaleString(),
+                    timestamp: this.getClock().format(timestamp),
                     dataIndex,
                     timestampText: timestampElement.textContent
                 });
@@ -1138,6 +5496,9 @@ class NextivaCollector {
             this.processedIndexes.add(dataIndex);
         }
 
+        this.storeAnsweredCalls(answeredCalls);
+        this.collectedAnswers.push(...answeredCalls);
+
         this.log('Collection statistics:', {
             totalRows: this.lastKnownRowCount,
             processedIndexes: this.processedIndexes.size,
@@ -1151,47 +5512,112 @@ class NextivaCollector {
         };
     }
 
-    generateLegacyReport() {
+    resolveCollectedCallbacks() {
+        // Earliest outgoing call first so each missed call gets its first callback
+        const outgoing = this.outgoingCalls.slice().sort((a, b) => a.timestamp - b.timestamp);
+        let resolved = 0;
+        for (const call of outgoing) {
+            resolved += this.markCallbacks(call.phoneNumber, call.timestamp).length;
+        }
+        this.log(`Resolved ${resolved} callbacks from ${outgoing.length} outgoing calls`);
+        return resolved;
+    }
+
+    // Marks missed calls answered from this run's answered calls and the stored answers. recentCalls
+    // only covers the last few hours, which is too short for collected history and exports.
+    async resolveAnsweredRecords(records = this.allRecords) {
+        const unanswered = records.filter(record => !record.isAnswered);
+        if (unanswered.length === 0) return 0;
+
+        let answers = this.collectedAnswers.slice();
+        if (this.historyStore.isAvailable()) {
+            const times = unanswered.map(record => record.timestamp.getTime());
+            const windowMs = this.getAnswerWindowMs();
+            try {
+                const stored = await this.historyStore.getAnswersBetween(
+                    new Date(Math.min(...times) - windowMs), new Date(Math.max(...times) + windowMs));
+                answers = answers.concat(stored.map(entry => ({ phoneNumber: entry.phoneNumber, timestamp: new Date(entry.timestamp), agent: entry.agent })));
+            } catch (error) {
+                this.performanceMonitor.logError(error, 'resolveAnsweredRecords');
+            }
+        }
+
+        const answersByNumber = this.groupAnswersByNumber(answers);
+        let resolved = 0;
+        for (const record of unanswered) {
+            const answer = this.findAnswerNear(answersByNumber, this.extractPhoneNumber(record.contact), record.timestamp);
+            if (answer) {
+                record.markAnswered(answer.timestamp, answer.agent || null);
+                resolved++;
+            }
+        }
+        this.log(`Resolved ${resolved} answered missed calls from ${answers.length} answered calls`);
+        return resolved;
+    }
+
+    formatReportDateTime(date) {
+        const { year, month, day, hour, minute } = this.getClock().getParts(date);
+        const ampm = hour >= 12 ? 'pm' : 'am';
+        const hour12 = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
+        return `${month}/${day}/${year} ${hour12}:${minute.toString().padStart(2, '0')} ${ampm}`;
+    }
+
+    // Rows for export: one per contact per hour (legacy report) or one per missed call
+    generateLegacyReport(grouped = true) {
         const sortedRecords = this.allRecords.sort((a, b) => b.timestamp - a.timestamp);
         const mergedRecords = new Map();
 
         for (const record of sortedRecords) {
-            const hourTimestamp = new Date(record.timestamp);
-            hourTimestamp.setMinutes(0, 0, 0);
-            const key = `${record.contact}_${hourTimestamp.getTime()}`;
+            const hourTimestamp = this.getClock().startOfHour(record.timestamp);
+            const key = grouped ? `${record.contact}_${hourTimestamp.getTime()}` : `${this.getRecordKey(record)}_${record.dataIndex}`;
 
             if (mergedRecords.has(key)) {
                 const existingRecord = mergedRecords.get(key);
                 existingRecord.callsInHour += 1;
+                // Report the longest wait in the hour, i.e. from the earliest missed call
+                if (record.calledBack) {
+                    existingRecord.calledBack = true;
+                    existingRecord.callbackDelayMinutes = Math.max(existingRecord.callbackDelayMinutes ?? 0, record.callbackDelayMinutes);
+                }
             } else {
                 mergedRecords.set(key, {
-                    timestamp: record.timestamp,
-                    contact: record.contact,
-                    callsInHour: 1
+                    record: record,
+                    datetime: this.formatReportDateTime(record.timestamp),
+                    callsInHour: 1,
+                    calledBack: record.calledBack,
+                    callbackDelayMinutes: record.calledBack ? record.callbackDelayMinutes : null
                 });
             }
         }
 
-        const report = Array.from(mergedRecords.values()).map(record => {
-            const hour = record.timestamp.getHours();
-            const ampm = hour >= 12 ? 'pm' : 'am';
-            const hour12 = hour === 0 ? 12 : (hour > 12 ? hour - 12 : hour);
-            const datetime = `${record.timestamp.getMonth() + 1}/${
-            record.timestamp.getDate()}/${
-            record.timestamp.getFullYear()} ${
-            hour12}:${record.timestamp.getMinutes().toString().padStart(2, '0')} ${ampm}`;
+        return Array.from(mergedRecords.values());
+    }
 
-            return {
-                datetime: datetime,
-                contact: record.contact,
-                callsInHour: record.callsInHour
-            };
-        });
+    downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.setAttribute('hidden', '');
+        a.setAttribute('href', url);
+        a.setAttribute('download', filename);
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        // Clean up URL
+        setTimeout(() => {
+            window.URL.revokeObjectURL(url);
+        }, 100);
+    }
 
-        return report.sort((a, b) => b.datetime.localeCompare(a.datetime));
+    getExportBaseName() {
+        const now = new Date();
+        const dateStr = `${now.getFullYear()}${(now.getMonth() + 1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}`;
+        return `Missed_call_records_${dateStr}`;
     }
 
     async downloadCSV() {
+        await this.resolveAnsweredRecords();
         const report = this.generateLegacyReport();
 
         if (report.length === 0) {
@@ -1199,67 +5625,367 @@ class NextivaCollector {
             return;
         }
 
-        const csv = [
-            ['DateTime', 'Contact', 'Calls in Hour'].join(','),
-            ...report.map(row => [
-                row.datetime,
-                row.contact,
-                row.callsInHour
-            ].join(','))
-        ].join('\n');
+        this.exporter.export(report, { format: 'csv', columns: RecordExporter.LEGACY_COLUMNS }, this.getExportBaseName());
+    }
 
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.setAttribute('hidden', '');
-        a.setAttribute('href', url);
+    // Export with the format and columns picked in the export dialog; resolves false if cancelled
+    async exportRecords() {
+        if (this.allRecords.length === 0) {
+            alert('No missed call records found.');
+            return false;
+        }
 
-        const now = new Date();
-        const dateStr = `${now.getFullYear()}${(now.getMonth() + 1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}`;
-        a.setAttribute('download', `Missed_call_records_${dateStr}.csv`);
+        const options = await this.showExportDialog();
+        if (!options) return false;
 
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        try {
+            await this.resolveAnsweredRecords();
+            const report = this.generateLegacyReport(options.grouped);
+            const count = this.exporter.export(report, options, this.getExportBaseName());
+            this.log(`Exported ${count} rows as ${options.format}`);
+            return true;
+        } catch (error) {
+            this.performanceMonitor.logError(error, 'exportRecords');
+            alert(`Export failed: ${error.message}`);
+            return false;
+        }
+    }
 
-        // Clean up URL
-        setTimeout(() => {
-            window.URL.revokeObjectURL(url);
-        }, 100);
+    showExportDialog() {
+        return new Promise(resolve => {
+            const existing = document.getElementById('nextiva-export-dialog');
+            if (existing) existing.remove();
+
+            const prefs = this.exporter.prefs;
+
+            const overlay = document.createElement('div');
+            overlay.id = 'nextiva-export-dialog';
+            overlay.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.4);
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: sans-serif;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = `
+                background: white;
+                color: #2c3e50;
+                padding: 16px 20px;
+                border-radius: 6px;
+                width: 380px;
+                max-height: 85vh;
+                overflow-y: auto;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                font-size: 13px;
+            `;
+
+            const title = document.createElement('div');
+            title.textContent = `Export ${this.allRecords.length} Missed Calls`;
+            title.style.cssText = 'font-size: 16px; font-weight: bold; margin-bottom: 12px;';
+            dialog.appendChild(title);
+
+            const addHeading = (text) => {
+                const heading = document.createElement('div');
+                heading.textContent = text;
+                heading.style.cssText = 'margin-top: 10px; font-weight: bold;';
+                dialog.appendChild(heading);
+            };
+
+            const addCheckbox = (text, checked, type = 'checkbox', name = '') => {
+                const label = document.createElement('label');
+                label.style.cssText = 'display: block; margin-top: 4px;';
+                const input = document.createElement('input');
+                input.type = type;
+                input.name = name;
+                input.checked = checked;
+                input.style.cssText = 'margin-right: 6px;';
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(text));
+                dialog.appendChild(label);
+                return input;
+            };
+
+            addHeading('Format');
+            const formatInputs = {
+                csv: addCheckbox('CSV', prefs.format === 'csv', 'radio', 'nextiva-export-format'),
+                xlsx: addCheckbox('Excel (.xlsx)', prefs.format === 'xlsx', 'radio', 'nextiva-export-format'),
+                json: addCheckbox('JSON', prefs.format === 'json', 'radio', 'nextiva-export-format')
+            };
+
+            addHeading('Rows');
+            const groupedInput = addCheckbox('Merge repeat calls from the same contact within an hour', prefs.grouped);
+
+            addHeading('Columns');
+            const columnInputs = {};
+            for (const column of RecordExporter.COLUMNS) {
+                columnInputs[column.key] = addCheckbox(column.label, prefs.columns.includes(column.key));
+            }
+
+            const message = document.createElement('div');
+            message.style.cssText = 'margin-top: 12px; min-height: 16px; color: #e74c3c;';
+            dialog.appendChild(message);
+
+            const buttonBar = document.createElement('div');
+            buttonBar.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;';
+
+            const makeButton = (text, color, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.style.cssText = `
+                    padding: 6px 12px;
+                    background-color: ${color};
+                    color: white;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 12px;
+                `;
+                button.onclick = onClick;
+                buttonBar.appendChild(button);
+                return button;
+            };
+
+            const close = (result) => {
+                overlay.remove();
+                resolve(result);
+            };
+
+            makeButton('Cancel', '#7f8c8d', () => close(null));
+
+            makeButton('Export', '#27ae60', () => {
+                const columns = RecordExporter.COLUMNS
+                    .map(column => column.key)
+                    .filter(key => columnInputs[key].checked);
+                if (columns.length === 0) {
+                    message.textContent = 'Pick at least one column';
+                    return;
+                }
+
+                const format = Object.keys(formatInputs).find(key => formatInputs[key].checked) || 'csv';
+                this.exporter.prefs = { format, grouped: groupedInput.checked, columns };
+                this.exporter.savePrefs();
+                close({ ...this.exporter.prefs });
+            });
+
+            dialog.appendChild(buttonBar);
+            overlay.appendChild(dialog);
+            overlay.onclick = (event) => {
+                if (event.target === overlay) close(null);
+            };
+            document.body.appendChild(overlay);
+        });
+    }
+
+    // Oldest timestamp among the rows currently rendered - the list is newest first
+    getOldestVisibleTimestamp() {
+        let oldest = null;
+        const elements = this.selectors.queryAll('timestamp');
+        for (const timestamp of this.parseTimestampColumn(elements.map(element => element.textContent))) {
+            if (timestamp && (!oldest || timestamp < oldest)) {
+                oldest = timestamp;
+            }
+        }
+        return oldest;
+    }
+
+    isInCollectionRange(timestamp, range) {
+        if (!range) return true;
+        if (range.from && timestamp < range.from) return false;
+        if (range.to && timestamp > range.to) return false;
+        return true;
+    }
+
+    formatDateInput(date) {
+        return this.getClock().formatDateKey(date);
+    }
+
+    // Ask which dates to collect; resolves { from, to } (either may be null for open-ended) or null if cancelled
+    showDateRangeDialog() {
+        return new Promise(resolve => {
+            const existing = document.getElementById('nextiva-range-dialog');
+            if (existing) existing.remove();
+
+            const overlay = document.createElement('div');
+            overlay.id = 'nextiva-range-dialog';
+            overlay.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.4);
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-family: sans-serif;
+            `;
+
+            const dialog = document.createElement('div');
+            dialog.style.cssText = `
+                background: white;
+                color: #2c3e50;
+                padding: 16px 20px;
+                border-radius: 6px;
+                width: 320px;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                font-size: 13px;
+            `;
+
+            const title = document.createElement('div');
+            title.textContent = 'Collect Records';
+            title.style.cssText = 'font-size: 16px; font-weight: bold; margin-bottom: 12px;';
+            dialog.appendChild(title);
+
+            const clock = this.getClock();
+            const today = new Date();
+            const weekAgo = clock.toDate(clock.addDays(clock.getParts(today), -7));
+
+            const addDateInput = (text, value) => {
+                const label = document.createElement('label');
+                label.textContent = text;
+                label.style.cssText = 'display: block; margin-top: 8px; font-weight: bold;';
+                const input = document.createElement('input');
+                input.type = 'date';
+                input.value = value;
+                input.max = this.formatDateInput(today);
+                input.style.cssText = 'width: 100%; box-sizing: border-box; padding: 4px 6px; margin-top: 2px;';
+                dialog.appendChild(label);
+                dialog.appendChild(input);
+                return input;
+            };
+
+            const fromInput = addDateInput('From', this.formatDateInput(weekAgo));
+            const toInput = addDateInput('To', this.formatDateInput(today));
+
+            const hint = document.createElement('div');
+            hint.textContent = 'Leave From empty to collect the entire call history.';
+            hint.style.cssText = 'margin-top: 6px; color: #7f8c8d; font-size: 11px;';
+            dialog.appendChild(hint);
+
+            const message = document.createElement('div');
+            message.style.cssText = 'margin-top: 10px; min-height: 16px; color: #e74c3c;';
+            dialog.appendChild(message);
+
+            // input.value is YYYY-MM-DD; days start and end in the business timezone, not UTC
+            const parseInput = (value, endOfDay) => {
+                const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+                if (!match) return null;
+                const [, year, month, day] = match.map(Number);
+                return endOfDay ?
+                    new Date(clock.toDate({ year, month, day: day + 1 }).getTime() - 1) :
+                    clock.toDate({ year, month, day });
+            };
+
+            const buttonBar = document.createElement('div');
+            buttonBar.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;';
+
+            const makeButton = (text, color, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.style.cssText = `
+                    padding: 6px 12px;
+                    background-color: ${color};
+                    color: white;
+                    border: none;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    font-size: 12px;
+                `;
+                button.onclick = onClick;
+                buttonBar.appendChild(button);
+                return button;
+            };
+
+            const close = (result) => {
+                overlay.remove();
+                resolve(result);
+            };
+
+            makeButton('Cancel', '#7f8c8d', () => close(null));
+
+            makeButton('Start', '#3498db', () => {
+                const from = parseInput(fromInput.value, false);
+                const to = parseInput(toInput.value, true);
+                if (from && to && from > to) {
+                    message.textContent = 'From must be on or before To';
+                    return;
+                }
+                close({ from, to });
+            });
+
+            dialog.appendChild(buttonBar);
+            overlay.appendChild(dialog);
+            overlay.onclick = (event) => {
+                if (event.target === overlay) close(null);
+            };
+            document.body.appendChild(overlay);
+        });
+    }
+
+    loadCollectionCheckpoint() {
+        try {
+            const data = localStorage.getItem('nextiva_collection_checkpoint');
+            if (!data) return null;
+
+            const checkpoint = JSON.parse(data);
+            return {
+                savedAt: new Date(checkpoint.savedAt),
+                range: {
+                    from: checkpoint.range.from ? new Date(checkpoint.range.from) : null,
+                    to: checkpoint.range.to ? new Date(checkpoint.range.to) : null
+                },
+                records: checkpoint.records.map(record => CallRecord.fromStorage(record)),
+                outgoingCalls: checkpoint.outgoingCalls.map(call => ({ phoneNumber: call.phoneNumber, timestamp: new Date(call.timestamp) })),
+                oldestTimestamp: checkpoint.oldestTimestamp ? new Date(checkpoint.oldestTimestamp) : null,
+                scrollTop: checkpoint.scrollTop || 0
+            };
+        } catch (e) {
+            this.log('Error loading collection checkpoint:', e);
+            return null;
+        }
+    }
+
+    saveCollectionCheckpoint(range, oldestTimestamp, scrollTop) {
+        try {
+            localStorage.setItem('nextiva_collection_checkpoint', JSON.stringify({
+                savedAt: Date.now(),
+                range: {
+                    from: range && range.from ? range.from.getTime() : null,
+                    to: range && range.to ? range.to.getTime() : null
+                },
+                records: this.allRecords.map(record => record.toStorage()),
+                outgoingCalls: this.outgoingCalls.map(call => ({ phoneNumber: call.phoneNumber, timestamp: call.timestamp.getTime() })),
+                oldestTimestamp: oldestTimestamp ? oldestTimestamp.getTime() : null,
+                scrollTop: scrollTop
+            }));
+        } catch (e) {
+            // Most likely the storage quota on a very long history - collection itself carries on
+            this.performanceMonitor.logError(e, 'saveCollectionCheckpoint');
+        }
+    }
+
+    clearCollectionCheckpoint() {
+        localStorage.removeItem('nextiva_collection_checkpoint');
+    }
+
+    // Load a checkpoint's progress; rows newer than its oldest timestamp are skipped by collectRecords
+    restoreCollectionCheckpoint(checkpoint) {
+        this.allRecords = checkpoint.records;
+        this.outgoingCalls = checkpoint.outgoingCalls;
+        // data-index values shift when new calls arrive, so timestamps decide what was already seen
+        this.processedIndexes.clear();
+        this.resumeFrom = checkpoint.oldestTimestamp;
+        this.log(`Resuming collection: ${this.allRecords.length} records back to ${this.resumeFrom ? this.getClock().format(this.resumeFrom) : 'the start'}`);
     }
 
-    async autoScrollAndCollect() {
+    async autoScrollAndCollect(range = null, resumeScrollTop = 0) {
         if (this.isCollecting) return;
         this.isCollecting = true;
 
-        const possibleContainers = [
-            '.infinite-scroll-component',
-            '[role="grid"]',
-            '.MuiBox-root > div',
-            'main',
-            '#root > div > div'
-        ];
-
-        let scrollContainer = null;
-        for (const selector of possibleContainers) {
-            const container = document.querySelector(selector);
-            if (container && container.scrollHeight > container.clientHeight) {
-                scrollContainer = container;
-                break;
-            }
-        }
-
-        if (!scrollContainer) {
-            const allDivs = document.getElementsByTagName('div');
-            let maxScrollHeight = 0;
-
-            for (const div of allDivs) {
-                if (div.scrollHeight > div.clientHeight && div.scrollHeight > maxScrollHeight) {
-                    scrollContainer = div;
-                    maxScrollHeight = div.scrollHeight;
-                }
-            }
-        }
+        const scrollContainer = this.findScrollContainer(true);
 
         if (!scrollContainer) {
             alert('Cannot find scrollable container. Please ensure the page is fully loaded.');
@@ -1267,27 +5993,30 @@ class NextivaCollector {
             return;
         }
 
-        const statusText = document.createElement('div');
-        statusText.style.cssText = `
-            position: fixed;
-            top: 60px;
-            right: 10px;
-            background: rgba(0, 0, 0, 0.9);
-            color: white;
-            padding: 12px;
-            border-radius: 6px;
-            z-index: 9999;
-            font-size: 13px;
-            max-width: 300px;
-            font-family: monospace;
-        `;
-        document.body.appendChild(statusText);
+        const statusText = this.createStatusPanel();
+        const rangeInfo = range && (range.from || range.to) ?
+            `${range.from ? this.getClock().format(range.from, { year: 'numeric', month: 'numeric', day: 'numeric' }) : 'start'} to ${range.to ? this.getClock().format(range.to, { year: 'numeric', month: 'numeric', day: 'numeric' }) : 'now'}` :
+            'entire call history';
 
         let unchangedScrollCount = 0;
         let lastScrollHeight = scrollContainer.scrollHeight;
         let lastScrollTop = scrollContainer.scrollTop;
         let latestParsedDate = null;
         let oldestParsedDate = null;
+        let oldestReached = this.resumeFrom || null;
+        let lastCheckpointAt = 0;
+        let completed = false;
+        const startedAt = Date.now();
+
+        // Jump back near where the previous run stopped; the scroll loop covers whatever is left
+        if (resumeScrollTop > 0) {
+            try {
+                scrollContainer.scrollTo({ top: resumeScrollTop, behavior: 'instant' });
+            } catch (e) {
+                scrollContainer.scrollTop = resumeScrollTop;
+            }
+            await new Promise(resolve => setTimeout(resolve, 600));
+        }
 
         while (this.isCollecting) {
             const currentScrollTop = scrollContainer.scrollTop;
@@ -1305,15 +6034,24 @@ class NextivaCollector {
                 oldestParsedDate = sortedRecords[sortedRecords.length - 1].timestamp;
             }
 
+            const oldestVisible = this.getOldestVisibleTimestamp();
+            if (oldestVisible && (!oldestReached || oldestVisible < oldestReached)) {
+                oldestReached = oldestVisible;
+            }
+            if (Date.now() - lastCheckpointAt > 3000) {
+                this.saveCollectionCheckpoint(range, oldestReached, currentScrollTop);
+                lastCheckpointAt = Date.now();
+            }
+
             const progressPercent = currentScrollHeight > scrollContainer.clientHeight ?
                 Math.round((currentScrollTop / (currentScrollHeight - scrollContainer.clientHeight)) * 100) : 100;
 
             const memUsage = this.getMemoryUsage();
             const dateRangeInfo = latestParsedDate && oldestParsedDate ?
-                `${oldestParsedDate.toLocaleDateString()} to ${latestParsedDate.toLocaleDateString()}` : '';
+                `${this.getClock().format(oldestParsedDate, { year: 'numeric', month: 'numeric', day: 'numeric' })} to ${this.getClock().format(latestParsedDate, { year: 'numeric', month: 'numeric', day: 'numeric' })}` : '';
 
             statusText.innerHTML = `
-                <div>📊 Collecting all records...</div>
+                <div>📊 Collecting records (${rangeInfo})...</div>
                 <div>Total: ${this.allRecords.length} missed calls</div>
                 <div>Processed: ${this.processedIndexes.size} records</div>
                 <div>This batch: +${newRecordsCount} new records</div>
@@ -1324,6 +6062,13 @@ class NextivaCollector {
             `;
 
             // Check stopping conditions
+            // Rows are newest first, so once the list shows calls older than the range start we're done
+            if (range && range.from && oldestVisible && oldestVisible < range.from) {
+                this.log(`Reached ${this.getClock().format(oldestVisible)}, before range start ${this.getClock().format(range.from)}`);
+                completed = true;
+                break;
+            }
+
             const isAtBottom = currentScrollTop >= currentScrollHeight - scrollContainer.clientHeight - 50;
             const scrollDidntMove = Math.abs(currentScrollTop - lastScrollTop) < 20;
             const heightDidntChange = Math.abs(currentScrollHeight - lastScrollHeight) < 20;
@@ -1334,6 +6079,7 @@ class NextivaCollector {
 
                 if (unchangedScrollCount >= 3) {
                     this.log('Reached bottom of page - no more content to load');
+                    completed = true;
                     break;
                 }
             } else {
@@ -1372,35 +6118,383 @@ class NextivaCollector {
         // Final collection pass
         await this.collectRecords();
 
+        // A stopped run keeps its checkpoint so the next click can resume it
+        if (completed) {
+            this.clearCollectionCheckpoint();
+        } else {
+            // The rendered rows can be newer than the furthest point reached if the list was scrolled back
+            const oldestVisible = this.getOldestVisibleTimestamp();
+            const resumePoint = oldestVisible && (!oldestReached || oldestVisible < oldestReached) ? oldestVisible : oldestReached;
+            this.saveCollectionCheckpoint(range, resumePoint, scrollContainer.scrollTop);
+        }
+        this.resumeFrom = null;
+
+        this.resolveCollectedCallbacks();
+        await this.resolveAnsweredRecords();
+
+        // Callbacks are resolved first so calls returned after the range end still count
+        if (range) {
+            const collectedCount = this.allRecords.length;
+            this.allRecords = this.allRecords.filter(record => this.isInCollectionRange(record.timestamp, range));
+            this.log(`Dropped ${collectedCount - this.allRecords.length} records outside ${rangeInfo}`);
+        }
+
+        const uncertainTimestamps = this.getTimestampParser().getIssues().filter(issue => issue.lastSeen >= startedAt).length;
         statusText.innerHTML = `
-            <div style="color: #4CAF50; font-weight: bold;">✓ Collection Complete!</div>
+            <div style="color: #4CAF50; font-weight: bold;">${completed ? '✓ Collection Complete!' : '⏸ Collection Stopped - progress saved'}</div>
             <div>Total collected: ${this.allRecords.length} missed call records</div>
-            <div>From entire call history</div>
+            <div>From ${rangeInfo}</div>
             <div>Processing avg: ${this.performanceMonitor.getReport().avgProcessingTime}ms</div>
+            ${uncertainTimestamps > 0 ? `<div style="color: #e67e22;">${uncertainTimestamps} timestamp label(s) read with low confidence - see the console</div>` : ''}
         `;
 
-        await this.downloadCSV();
+        await this.storeHistory(this.allRecords);
+        this.dashboard.refresh();
+        await this.exportRecords();
 
         setTimeout(() => {
             statusText.remove();
         }, 5000);
+
+        if (this.allRecords.length > 0 &&
+            confirm(`Upload ${this.allRecords.length} collected missed calls to Google Sheets?\nRecords the sheet already has will be skipped.`)) {
+            await this.uploadRecordsToSheet(this.allRecords);
+        }
+    }
+
+    captureSnapshot() {
+        const maskNumbers = confirm('Capture a snapshot of the message list for debugging.\n\nOK to mask phone numbers (recommended before sharing), Cancel to keep them as shown.');
+        try {
+            const snapshot = DomSnapshot.capture(this, { maskNumbers });
+            const stamp = snapshot.capturedAt.replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+            this.downloadBlob(new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }), `nextiva_snapshot_${stamp}.json`);
+            this.log(`Captured snapshot with ${this.selectors.queryAll('row').length} rows`);
+            return snapshot;
+        } catch (error) {
+            this.performanceMonitor.logError(error, 'captureSnapshot');
+            alert(`Could not capture a snapshot: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Confirms the message list still has the elements the selectors expect, so a Nextiva UI change
+    // raises a warning instead of the monitor silently recording zero calls
+    checkDomHealth() {
+        const watching = (this.isRealTimeMode && !this.tabCoordinator.isFollower()) || this.isCollecting;
+        const problems = watching ? this.findDomProblems() : [];
+
+        if (problems.length === 0) {
+            if (this.domHealth.reported) {
+                this.log('Message list found again - DOM health check passing');
+            }
+            this.domHealth = { ...this.domHealth, problems, failures: 0, reported: false };
+            this.showDomHealthBanner([]);
+            return problems;
+        }
+
+        // One failed check can just be Nextiva re-rendering; two in a row means something is wrong
+        this.domHealth.problems = problems;
+        this.domHealth.failures++;
+        if (this.domHealth.failures >= 2) {
+            if (!this.domHealth.reported) {
+                this.performanceMonitor.logError(new Error(`Nextiva page layout check failed: ${problems.join('; ')}`), 'checkDomHealth');
+                this.domHealth.reported = true;
+            }
+            this.showDomHealthBanner(problems);
+        }
+        return problems;
+    }
+
+    findDomProblems() {
+        const problems = [];
+        const rows = this.selectors.queryAll('row');
+
+        if (rows.length === 0) {
+            // An empty list (new account, filtered view) is fine as long as the list itself is there
+            if (!this.selectors.query('listContainer') && !this.selectors.query('scrollContainer')) {
+                problems.push('neither call rows nor the message list were found');
+            }
+        } else {
+            const sample = rows.slice(0, 10);
+            const senders = sample.map(row => this.selectors.query('sender', row));
+            const timestamps = sample.map(row => this.selectors.query('timestamp', row));
+
+            if (senders.every(element => !element)) {
+                problems.push('call rows have no sender');
+            }
+            if (timestamps.every(element => !element)) {
+                problems.push('call rows have no timestamp');
+            } else if (timestamps.every(element => !element || !this.getTimestampParser().parse(element.textContent, { record: false }))) {
+                problems.push('call row timestamps can no longer be read');
+            }
+            if (sample.every(row => this.selectors.getRowIndex(row) === null)) {
+                problems.push('call rows have no data-index');
+            }
+        }
+
+        if (this.isCollecting && !this.findScrollContainer(true)) {
+            problems.push('the scrollable message list was not found');
+        }
+        return problems;
+    }
+
+    showDomHealthBanner(problems) {
+        const existing = document.getElementById('nextiva-dom-health-banner');
+        const signature = problems.join('; ');
+
+        if (problems.length === 0 || this.domHealth.dismissed === signature) {
+            if (existing) existing.remove();
+            if (problems.length === 0) this.domHealth.dismissed = '';
+            return;
+        }
+
+        const banner = existing || document.createElement('div');
+        banner.id = 'nextiva-dom-health-banner';
+        banner.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            z-index: 10001;
+            padding: 8px 12px;
+            background: #e74c3c;
+            color: white;
+            font-size: 13px;
+            display: flex;
+            gap: 12px;
+            align-items: center;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        `;
+
+        const message = document.createElement('div');
+        message.style.cssText = 'flex: 1;';
+        message.textContent = `Nextiva Collector cannot read the call list (${signature}). ` +
+            `The Nextiva page layout may have changed - missed calls are not being recorded.`;
+
+        const dismissButton = document.createElement('button');
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.style.cssText = 'padding: 4px 10px; background: white; color: #e74c3c; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+        dismissButton.onclick = () => {
+            // Stays hidden until the problems change or clear up
+            this.domHealth.dismissed = signature;
+            banner.remove();
+        };
+
+        banner.replaceChildren(message, dismissButton);
+        if (!existing) {
+            document.body.appendChild(banner);
+        }
+    }
+
+    createStatusPanel() {
+        const statusText = document.createElement('div');
+        statusText.style.cssText = `
+            position: fixed;
+            top: 60px;
+            right: 10px;
+            background: rgba(0, 0, 0, 0.9);
+            color: white;
+            padding: 12px;
+            border-radius: 6px;
+            z-index: 9999;
+            font-size: 13px;
+            max-width: 300px;
+            font-family: monospace;
+        `;
+        document.body.appendChild(statusText);
+        return statusText;
+    }
+
+    loadUploadedKeys() {
+        try {
+            const keys = JSON.parse(localStorage.getItem('nextiva_uploaded_records') || '[]');
+            return new Set(keys.map(key => this.migrateLegacyKey(key)));
+        } catch (e) {
+            this.log('Error loading uploaded record keys:', e);
+            return new Set();
+        }
+    }
+
+    saveUploadedKeys(keys) {
+        try {
+            // Keep only the most recent keys, the sheet dedupes anything older itself
+            localStorage.setItem('nextiva_uploaded_records', JSON.stringify(Array.from(keys).slice(-5000)));
+        } catch (e) {
+            this.log('Error saving uploaded record keys:', e);
+        }
+    }
+
+    // Send one batch, retrying throttling and server errors a few times before giving up
+    async postBatchWithRetry(payload, maxAttempts = 4) {
+        let result = null;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            result = await this.postToGoogleSheets(payload);
+            if (result.ok || !result.retryable) break;
+            if (attempt < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, this.outbox.getBackoffDelay(attempt)));
+            }
+        }
+        return result;
+    }
+
+    // The Apps Script web app should handle { action: 'bulkInsert', records: [...] } by appending each record
+    // whose recordKey isn't in the sheet yet, and reply with JSON { "inserted": <n>, "skipped": <n> }.
+    // Scripts without that handler still answer 200, so a reply without counts is not taken as success
+    // and the upload falls back to the one-record-per-request format every deployment understands.
+    readBulkInsertCounts(responseText, batchLength) {
+        try {
+            const response = JSON.parse(responseText);
+            if (typeof response.inserted !== 'number') return null;
+            return {
+                inserted: response.inserted,
+                skipped: typeof response.skipped === 'number' ? response.skipped : batchLength - response.inserted
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async uploadRecordsToSheet(records) {
+        const uploadedKeys = this.loadUploadedKeys();
+        const summary = { total: records.length, inserted: 0, skipped: 0, queued: 0, sentIndividually: 0 };
+
+        // Skip anything this browser already delivered, the sheet reports its own duplicates per batch
+        const pending = [];
+        for (const record of records) {
+            const recordKey = this.getRecordKey(record);
+            if (uploadedKeys.has(recordKey) || this.sentRecords.has(recordKey)) {
+                summary.skipped++;
+            } else {
+                pending.push({ record, recordKey });
+            }
+        }
+
+        // Oldest first so the sheet stays in chronological order
+        pending.sort((a, b) => a.record.timestamp - b.record.timestamp);
+
+        const batchSize = this.settings.get('bulkBatchSize');
+        const batchCount = Math.ceil(pending.length / batchSize);
+        const statusText = this.createStatusPanel();
+        let bulkSupported = true;
+
+        for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+            const batch = pending.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
+
+            statusText.innerHTML = `
+                <div>📤 Uploading to Google Sheets...</div>
+                <div>Batch: ${batchIndex + 1} / ${batchCount}</div>
+                <div>Inserted: ${summary.inserted}</div>
+                <div>Skipped: ${summary.skipped}</div>
+                <div>Queued for retry: ${summary.queued}</div>
+                <div>Sent one at a time: ${summary.sentIndividually}</div>
+                <div>Progress: ${Math.round((batchIndex / batchCount) * 100)}%</div>
+            `;
+
+            const payload = {
+                action: 'bulkInsert',
+                isBatch: true,
+                source: 'Bulk Import',
+                batchIndex: batchIndex,
+                batchCount: batchCount,
+                records: batch.map(({ record, recordKey }) => ({
+                    ...this.buildSheetPayload(record, 'Bulk Import'),
+                    recordKey: recordKey
+                }))
+            };
+
+            if (!bulkSupported) {
+                await this.uploadRecordsIndividually(payload.records, uploadedKeys, summary);
+                continue;
+            }
+
+            const result = await this.postBatchWithRetry(payload);
+
+            if (!result.ok) {
+                // Hand the batch to the outbox so it is still delivered once the sheet recovers
+                this.outbox.enqueue(payload, 'uploadRecordsToSheet');
+                summary.queued += batch.length;
+                this.log(`Bulk upload batch ${batchIndex + 1} failed (${result.error}) - queued in outbox`);
+            } else {
+                const counts = this.readBulkInsertCounts(result.responseText, batch.length);
+                if (!counts) {
+                    // An older Apps Script without bulkInsert - send this batch and the rest one record at a time
+                    this.log('Apps Script did not report inserted counts - uploading the remaining records one at a time');
+                    bulkSupported = false;
+                    await this.uploadRecordsIndividually(payload.records, uploadedKeys, summary);
+                    continue;
+                }
+                summary.inserted += counts.inserted;
+                summary.skipped += counts.skipped;
+
+                // Queued batches are recorded when the outbox delivers them (handleSheetsDelivery)
+                for (const { recordKey } of batch) {
+                    uploadedKeys.add(recordKey);
+                }
+                this.saveUploadedKeys(uploadedKeys);
+            }
+        }
+
+        statusText.innerHTML = `
+            <div style="color: #4CAF50; font-weight: bold;">✓ Upload Complete!</div>
+            <div>Inserted: ${summary.inserted}</div>
+            <div>Skipped (already in sheet): ${summary.skipped}</div>
+            <div>Queued for retry: ${summary.queued}</div>
+            <div>Sent one at a time: ${summary.sentIndividually}</div>
+        `;
+        setTimeout(() => {
+            statusText.remove();
+        }, 8000);
+
+        this.log('Bulk upload summary:', summary);
+        alert(`Google Sheets upload finished:
+- Inserted: ${summary.inserted}
+- Skipped (already in sheet): ${summary.skipped}
+- Queued for retry: ${summary.queued}${summary.sentIndividually > 0 ? `
+- Sent one at a time: ${summary.sentIndividually} (the Apps Script has no bulkInsert handler, so the sheet's own duplicate check applies)` : ''}`);
+
+        return summary;
+    }
+
+    async uploadRecordsIndividually(sheetRecords, uploadedKeys, summary) {
+        for (const sheetRecord of sheetRecords) {
+            const result = await this.postBatchWithRetry(sheetRecord);
+            if (result.ok) {
+                summary.sentIndividually++;
+                uploadedKeys.add(sheetRecord.recordKey);
+            } else {
+                // Recorded as uploaded when the outbox delivers it (handleSheetsDelivery)
+                this.outbox.enqueue(sheetRecord, 'uploadRecordsToSheet');
+                summary.queued++;
+            }
+        }
+        this.saveUploadedKeys(uploadedKeys);
     }
 
     showPerformanceReport() {
         const report = this.performanceMonitor.getReport();
+        const timestampIssues = this.getTimestampParser().getIssues();
         const message = `
 Performance Report:
 - Uptime: ${report.uptime} seconds
 - Memory Usage: ${report.memoryUsage}MB
-- Average Processing: ${report.avgProcessingTime}ms
+- Average Processing: ${report.avgProcessingTime}ms (max ${report.maxProcessingTime}ms)
+- Checks: ${Object.entries(report.checksByTrigger).map(([trigger, count]) => `${trigger} ${count}`).join(', ') || 'none'} (${report.coalescedChecks} coalesced)
+- Observer attachments: ${report.observerAttachments}
 - DOM Queries: ${report.domQueries}
 - Network Requests: ${report.networkRequests}
 - Total Errors: ${report.totalErrors}
 - Records Found: ${this.realTimeMissedCount}
+- Page layout check: ${this.domHealth.problems.length > 0 ? this.domHealth.problems.join('; ') : 'OK'}
+- Selector fallbacks in use: ${this.selectors.getFallbackFields().join(', ') || 'none'}
+- Uncertain timestamps: ${timestampIssues.length}
+${timestampIssues.slice(0, 5).map(issue => `  "${issue.text}" (${issue.count}x): ${issue.reason}`).join('\n')}
         `.trim();
 
         alert(message);
         console.log('[Performance Report]', this.performanceMonitor.metrics);
+        if (timestampIssues.length > 0) {
+            console.log('[Performance Report] Uncertain timestamps:', timestampIssues);
+        }
     }
 
     addButtons() {
@@ -1458,6 +6552,22 @@ Performance Report:
             `;
             counter.textContent = `Missed calls: ${this.realTimeMissedCount}`;
 
+            const outboxCounter = document.createElement('span');
+            outboxCounter.id = 'outbox-counter';
+            outboxCounter.title = 'Google Sheets writes waiting to be delivered - click for details';
+            outboxCounter.style.cssText = `
+                position: fixed;
+                top: 8px;
+                left: 69%;
+                transform: translateX(-50%);
+                z-index: 9999;
+                color: #e67e22;
+                font-weight: bold;
+                font-size: 13px;
+                cursor: pointer;
+                display: none;
+            `;
+
             const viewButton = document.createElement('button');
             viewButton.textContent = 'View';
             viewButton.style.cssText = `
@@ -1476,6 +6586,81 @@ Performance Report:
                 display: none;
             `;
 
+            const agentsButton = document.createElement('button');
+            agentsButton.textContent = 'Agents';
+            agentsButton.style.cssText = `
+                position: fixed;
+                top: 25px;
+                left: 66%;
+                transform: translateX(-50%);
+                z-index: 9999;
+                padding: 4px 8px;
+                background-color: #95a5a6;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 11px;
+                display: none;
+            `;
+
+            const dashboardButton = document.createElement('button');
+            dashboardButton.textContent = 'Dashboard';
+            dashboardButton.title = 'Show or hide the missed call dashboard';
+            dashboardButton.style.cssText = `
+                position: fixed;
+                top: 10px;
+                left: 30%;
+                transform: translateX(-50%);
+                z-index: 9999;
+                padding: 8px 12px;
+                background-color: #34495e;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 13px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            `;
+
+            const analyticsButton = document.createElement('button');
+            analyticsButton.textContent = 'Analytics';
+            analyticsButton.title = 'Missed call heatmap, trends and repeat callers';
+            analyticsButton.style.cssText = `
+                position: fixed;
+                top: 10px;
+                left: 23%;
+                transform: translateX(-50%);
+                z-index: 9999;
+                padding: 8px 12px;
+                background-color: #16a085;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 13px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            `;
+
+            const settingsButton = document.createElement('button');
+            settingsButton.textContent = '⚙ Settings';
+            settingsButton.title = 'Collector settings';
+            settingsButton.style.cssText = `
+                position: fixed;
+                top: 10px;
+                left: 37%;
+                transform: translateX(-50%);
+                z-index: 9999;
+                padding: 8px 12px;
+                background-color: #7f8c8d;
+                color: white;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 13px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            `;
+
             // Event handlers
             realtimeButton.onmouseover = () => {
                 if (!this.isRealTimeMode) {
@@ -1503,6 +6688,7 @@ Performance Report:
                     realtimeButton.style.animation = 'none';
                     counter.style.display = 'none';
                     viewButton.style.display = 'none';
+                    agentsButton.style.display = 'none';
                     collectButton.disabled = false;
                     collectButton.style.opacity = '1';
                 } else {
@@ -1512,6 +6698,7 @@ Performance Report:
                     realtimeButton.style.animation = 'pulse 2s infinite';
                     counter.style.display = 'block';
                     viewButton.style.display = 'block';
+                    agentsButton.style.display = 'block';
                     this.updateRealTimeCounter();
                     collectButton.disabled = true;
                     collectButton.style.opacity = '0.5';
@@ -1529,13 +6716,29 @@ Performance Report:
                     return;
                 }
 
-                this.allRecords = [];
-                this.processedIndexes.clear();
+                let range;
+                let resumeScrollTop = 0;
+                const checkpoint = this.loadCollectionCheckpoint();
+                if (checkpoint && confirm(`Resume previous collection?\n\n${checkpoint.records.length} missed calls collected back to ${checkpoint.oldestTimestamp ? this.getClock().format(checkpoint.oldestTimestamp) : 'the start'} (saved ${this.getClock().format(checkpoint.savedAt)}).\n\nOK to resume, Cancel to start a new collection.`)) {
+                    range = checkpoint.range;
+                    resumeScrollTop = checkpoint.scrollTop;
+                    this.restoreCollectionCheckpoint(checkpoint);
+                } else {
+                    range = await this.showDateRangeDialog();
+                    if (!range) return;
+
+                    this.clearCollectionCheckpoint();
+                    this.allRecords = [];
+                    this.processedIndexes.clear();
+                    this.outgoingCalls = [];
+                    this.collectedAnswers = [];
+                }
+
                 collectButton.textContent = 'Stop Collection';
                 realtimeButton.disabled = true;
                 realtimeButton.style.opacity = '0.5';
 
-                await this.autoScrollAndCollect();
+                await this.autoScrollAndCollect(range, resumeScrollTop);
 
                 collectButton.textContent = 'Collect All Records';
                 realtimeButton.disabled = false;
@@ -1546,6 +6749,26 @@ Performance Report:
                 this.openGoogleSheet();
             };
 
+            agentsButton.onclick = () => {
+                this.showAgentReport();
+            };
+
+            settingsButton.onclick = () => {
+                this.showSettingsDialog();
+            };
+
+            dashboardButton.onclick = () => {
+                this.dashboard.toggle();
+            };
+
+            analyticsButton.onclick = () => {
+                this.analytics.open();
+            };
+
+            outboxCounter.onclick = () => {
+                this.showOutboxReport();
+            };
+
             const style = document.createElement('style');
             style.textContent = `
                 @keyframes pulse {
@@ -1565,13 +6788,24 @@ Performance Report:
             document.body.appendChild(collectButton);
             document.body.appendChild(realtimeButton);
             document.body.appendChild(counter);
+            document.body.appendChild(outboxCounter);
             document.body.appendChild(viewButton);
+            document.body.appendChild(agentsButton);
+            document.body.appendChild(settingsButton);
+            document.body.appendChild(dashboardButton);
+            document.body.appendChild(analyticsButton);
 
             if (this.realTimeMissedCount > 0) {
                 counter.style.display = 'block';
                 viewButton.style.display = 'block';
+                agentsButton.style.display = 'block';
                 this.updateRealTimeCounter();
             }
+            this.updateOutboxCounter();
+
+            if (this.dashboard.state.open) {
+                this.dashboard.open();
+            }
 
             this.log('Buttons added successfully');
 
@@ -1585,11 +6819,20 @@ Performance Report:
 
         this.stopRealTimeMode();
         this.performanceMonitor.stop();
+        // Hands the outbox to another open tab, if there is one
+        this.outboxCoordinator.stop();
+        this.outbox.dispose();
+        this.dashboard.close(false);
 
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
             this.cleanupInterval = null;
         }
+        if (this.domHealthInterval) {
+            clearInterval(this.domHealthInterval);
+            this.domHealthInterval = null;
+        }
+        this.showDomHealthBanner([]);
 
         // Clear all data
         this.allRecords = [];
@@ -1597,6 +6840,7 @@ Performance Report:
         this.recentCalls.clear();
         this.sentRecords.clear();
         this.processedAnswers.clear();
+        this.realTimeFingerprints.clear();
 
         this.log('NextivaCollector destroyed');
     }
@@ -1606,6 +6850,13 @@ window.nextiva_collector = null;
 
 (function() {
     'use strict';
+
+    // Replay harnesses (tools/replay-snapshot.js) load the classes without starting a live collector
+    if (window.nextiva_replay) {
+        window.nextiva_replay.classes = { NextivaCollector, DomSnapshot, CallRecord, CollectorSettings };
+        return;
+    }
+
     console.log('Nextiva Collector script starting...');
 
     try {
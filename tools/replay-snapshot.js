@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+// Replays snapshots saved with the dashboard's "Snapshot" button against Script.user.js under jsdom.
+//
+//   cd tools && npm install && npm test      (replays everything in tools/snapshots)
+//   node replay-snapshot.js [--mode collect|realtime] [--update] <snapshot.json | directory>...
+//
+// Each snapshot is loaded into a fresh page with the clock frozen at its capture time. With --update the
+// rows and records the collector produced are written back into the file as "expected"; without it they
+// are compared against "expected" and the script exits non-zero on any difference. To add a page that
+// was misread, save it with numbers masked into tools/snapshots, fix the collector, check the output and
+// run `npm test -- --update`.
+//
+// "expected" only records what the collector produced when it was last updated. The hand-written "checks"
+// list states what each card really is and is never rewritten, so --update refuses to bless output that
+// breaks one:
+//
+//   { "why": "...", "row": "<data-index>", "type": "missed", "agent": "...", "date": "2026-10-15", "uncertain": true }
+//   { "why": "...", "record": "<data-index>", "isAnswered": true, "answeredBy": "..." }
+//   { "why": "...", "records": ["<data-index>", ...] }      (exactly these rows became missed-call records)
+//
+// Fields are compared to the replayed row or record as is, except "date" (the day part of the timestamp)
+// and "uncertain" (whether the timestamp parser flagged the card's time text).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'Script.user.js');
+
+function parseArgs(argv) {
+    const options = { mode: null, update: false, verbose: false, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--mode') options.mode = argv[++i];
+        else if (arg === '--update') options.update = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else options.files.push(arg);
+    }
+    if (options.mode && !['collect', 'realtime'].includes(options.mode)) {
+        throw new Error(`Unknown mode "${options.mode}" - use collect or realtime`);
+    }
+    return options;
+}
+
+function findSnapshots(inputs) {
+    return inputs.flatMap(input => {
+        if (!fs.statSync(input).isDirectory()) return [input];
+        return fs.readdirSync(input)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => path.join(input, name));
+    });
+}
+
+function createWindow(snapshot, verbose) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: `https://app.nextiva.com${snapshot.path || '/'}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    // Freeze "now" at the capture time so relative labels like "Yesterday" resolve the same way
+    window.eval(`(() => {
+        const RealDate = Date;
+        const offset = ${Date.parse(snapshot.capturedAt)} - RealDate.now();
+        class FrozenDate extends RealDate {
+            constructor(...args) {
+                if (args.length === 0) super(RealDate.now() + offset);
+                else super(...args);
+            }
+            static now() {
+                return RealDate.now() + offset;
+            }
+        }
+        window.Date = FrozenDate;
+    })();`);
+
+    // Nothing leaves the machine: requests stay pending in the outbox and can be inspected
+    window.GM_xmlhttpRequest = () => {};
+    window.GM_notification = () => {};
+    window.scrollTo = () => {};
+    window.alert = () => {};
+    window.confirm = () => false;
+    if (!verbose) {
+        window.console.log = () => {};
+        window.console.warn = () => {};
+    }
+
+    window.nextiva_replay = {};
+    window.eval(fs.readFileSync(SCRIPT_PATH, 'utf8'));
+    return { dom, classes: window.nextiva_replay.classes };
+}
+
+async function replayFile(file, options) {
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const { dom, classes } = createWindow(snapshot, options.verbose);
+    const collector = new classes.NextivaCollector();
+
+    try {
+        const result = await classes.DomSnapshot.replay(collector, snapshot, options.mode || snapshot.mode);
+        return { snapshot, result, exportProblems: checkExport(collector) };
+    } finally {
+        collector.destroy();
+        dom.window.close();
+    }
+}
+
+// Minimal RFC 4180 reader, enough to read back what RecordExporter.toCSV writes
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') field += text[++i];
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+        else if (char !== '\r') field += char;
+    }
+    return rows;
+}
+
+// Contact and Phone cells must come out of a CSV export exactly as stored, whatever escaping applies to text
+function checkExport(collector) {
+    const exporter = collector.exporter;
+    const report = collector.generateLegacyReport(false);
+    const csv = exporter.toCSV(exporter.buildTable(report, ['contact', 'phoneNumber']));
+    const [headers, ...lines] = parseCSV(csv.replace(/^\uFEFF/, ''));
+    const problems = [];
+    if (JSON.stringify(headers) !== JSON.stringify(['Contact', 'Phone'])) {
+        problems.push(`  export headers ${JSON.stringify(headers)}`);
+    }
+    report.forEach((row, i) => {
+        const want = [row.record.contact, collector.extractPhoneNumber(row.record.contact)];
+        if (JSON.stringify(lines[i]) !== JSON.stringify(want)) {
+            problems.push(`  export[${i}]\n    expected ${JSON.stringify(want)}\n    actual   ${JSON.stringify(lines[i])}`);
+        }
+    });
+    return problems;
+}
+
+function runChecks(checks, result) {
+    const problems = [];
+    (checks || []).forEach((check, i) => {
+        const { why, row, record, records, ...fields } = check;
+        const label = `  checks[${i}] (${why || 'no reason given'})`;
+
+        if (records) {
+            const actual = result.records.map(item => item.dataIndex).sort();
+            if (JSON.stringify([...records].sort()) !== JSON.stringify(actual)) {
+                problems.push(`${label}\n    expected records ${JSON.stringify(records)}\n    actual   ${JSON.stringify(actual)}`);
+            }
+            return;
+        }
+
+        const list = row !== undefined ? result.rows : result.records;
+        const dataIndex = row !== undefined ? row : record;
+        const target = list.find(item => item.dataIndex === dataIndex);
+        if (!target) {
+            problems.push(`${label}\n    no ${row !== undefined ? 'row' : 'record'} with data-index ${dataIndex}`);
+            return;
+        }
+
+        for (const [field, want] of Object.entries(fields)) {
+            let got;
+            if (field === 'date') got = String(target.timestamp).slice(0, 10);
+            else if (field === 'uncertain') got = result.timestampIssues.some(issue => issue.text === target.timestampText);
+            else got = target[field];
+            if (JSON.stringify(want) !== JSON.stringify(got)) {
+                problems.push(`${label}\n    ${field} expected ${JSON.stringify(want)}, actual ${JSON.stringify(got)}`);
+            }
+        }
+    });
+    return problems;
+}
+
+function compare(label, expected, actual) {
+    const problems = [];
+    const length = Math.max(expected.length, actual.length);
+    for (let i = 0; i < length; i++) {
+        const want = JSON.stringify(expected[i]);
+        const got = JSON.stringify(actual[i]);
+        if (want !== got) {
+            problems.push(`  ${label}[${i}]\n    expected ${want}\n    actual   ${got}`);
+        }
+    }
+    return problems;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const files = findSnapshots(options.files);
+    if (files.length === 0) {
+        console.error('Usage: node tools/replay-snapshot.js [--mode collect|realtime] [--update] <snapshot.json | directory>...');
+        process.exit(2);
+    }
+
+    let failures = 0;
+    for (const file of files) {
+        const { snapshot, result, exportProblems } = await replayFile(file, options);
+        const name = path.relative(process.cwd(), file);
+        const checkProblems = runChecks(snapshot.checks, result);
+
+        if (options.update && checkProblems.length > 0) {
+            failures++;
+            console.log(`NOT UPDATED ${name} - the output breaks hand-written checks`);
+            console.log(checkProblems.join('\n'));
+            continue;
+        }
+        if (options.update) {
+            snapshot.expected = { mode: result.mode, rows: result.rows, records: result.records };
+            fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+            console.log(`UPDATED ${name} (${result.rows.length} rows, ${result.records.length} records)`);
+            continue;
+        }
+
+        if (!snapshot.expected) {
+            console.log(`${name}: no expected results yet - run with --update after checking the output below`);
+            console.log(JSON.stringify(result, null, 2));
+            continue;
+        }
+
+        const problems = [
+            ...compare('rows', snapshot.expected.rows, result.rows),
+            ...compare('records', snapshot.expected.records, result.records),
+            ...checkProblems,
+            ...exportProblems
+        ];
+        if (problems.length > 0) {
+            failures++;
+            console.log(`FAIL ${name}`);
+            console.log(problems.join('\n'));
+        } else {
+            console.log(`PASS ${name} (${result.rows.length} rows, ${result.records.length} records, ${(snapshot.checks || []).length} checks)`);
+        }
+        result.timestampIssues.forEach(issue => console.log(`  uncertain timestamp "${issue.text}": ${issue.reason}`));
+    }
+
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});